@@ -40,6 +40,9 @@ class FiscalDashboard {
       
       // Load data
       await this.loadAll();
+
+      // Keep tiles current without polling from every browser
+      this.subscribeToUpdates();
       
     } catch (error) {
       Utils.logError('Dashboard Init', error);
@@ -198,20 +201,14 @@ class FiscalDashboard {
 
       // Fetch new data
       const newState = await fetcher(resolvedDeps);
-      tile.state = newState;
-      
-      // Update metadata
-      if (newState.meta && ui.meta) {
-        ui.meta.textContent = newState.meta;
-      }
 
-      // Broadcast tile update for any legacy UI listeners
-      document.dispatchEvent(new CustomEvent('tileUpdated', {
-        detail: { id, state: newState }
-      }));
+      if (this.keepsCachedState(id, newState)) return;
+      this.applyState(id, newState);
       
     } catch (error) {
       Utils.logError(`Tile ${id}`, error);
+      // Keep showing the cached state; its meta already says it is not fresh
+      if (tile.state?.cached) return;
       const errorMessage = error.message || "fetch error";
       ui.setError(errorMessage);
     } finally {
@@ -219,6 +216,112 @@ class FiscalDashboard {
     }
   }
 
+  /**
+   * Whether a tile should keep its cached state instead of taking a new one
+   * Real data from an earlier visit beats a built-in estimate.
+   * @param {string} id - Tile ID
+   * @param {Object} state - Incoming tile state
+   * @returns {boolean} True when the tile shows cached real data and the new state is an estimate
+   */
+  keepsCachedState(id, state) {
+    const current = this.tiles.get(id)?.state;
+    return Boolean(current?.cached) && DataProcessor.isEstimate(state);
+  }
+
+  /**
+   * Apply a new state to a tile and notify listeners
+   * @param {string} id - Tile ID
+   * @param {Object} state - Tile state object
+   */
+  applyState(id, state) {
+    const tile = this.tiles.get(id);
+    if (!tile) return;
+
+    tile.state = state;
+    tile.ui.clearError();
+    this.dataManager.saveTileState(id, state);
+
+    if (state.meta && tile.ui.meta) {
+      tile.ui.meta.textContent = state.meta;
+    }
+    tile.ui.setRange?.(DataProcessor.describeRate(state, tile.render || Utils.formatNumber));
+
+    // Broadcast tile update for any legacy UI listeners
+    document.dispatchEvent(new CustomEvent('tileUpdated', {
+      detail: { id, state }
+    }));
+  }
+
+  /**
+   * Show tile states saved by earlier visits until fresh data replaces them
+   */
+  async hydrateFromCache() {
+    const cached = await this.dataManager.getCachedTileStates();
+
+    Object.entries(cached).forEach(([id, { state, storedAt }]) => {
+      const tile = this.tiles.get(id);
+      if (!tile || (tile.state && !tile.state.cached)) return;
+
+      const savedAt = new Date(storedAt).toLocaleString(Utils.locale, { dateStyle: 'medium', timeStyle: 'short' });
+      this.applyState(id, {
+        ...state,
+        cached: true,
+        meta: `Cached ${savedAt}${state.meta ? ` • ${state.meta}` : ''}`
+      });
+    });
+  }
+
+  /**
+   * Hydrate tiles from the server-side snapshot in a single request
+   * @returns {Promise<string[]>} IDs of tiles that could not be hydrated
+   */
+  async hydrateFromSnapshot() {
+    const snapshot = await this.dataManager.fetchSnapshot();
+    const missing = [];
+
+    this.tiles.forEach((tile, id) => {
+      const entry = snapshot.tiles?.[id];
+      if (!entry || entry.error || Utils.isNullish(entry.baseValue)) {
+        missing.push(id);
+        return;
+      }
+
+      // The proxy estimates when the Treasury is down; fetch such tiles here, which keeps the cached state
+      const state = DataProcessor.pickState(entry);
+      if (this.keepsCachedState(id, state)) {
+        missing.push(id);
+        return;
+      }
+      this.applyState(id, state);
+    });
+
+    if (snapshot.usingFallback) {
+      this.dataManager.useFallbackData = true;
+    }
+
+    return missing;
+  }
+
+  /**
+   * Subscribe to the proxy's update stream and apply pushed tile states in place
+   */
+  subscribeToUpdates() {
+    if (!this.dataManager.useProxy || typeof EventSource === 'undefined' || this.eventSource) return;
+
+    this.eventSource = new EventSource(CONFIG.api.stream);
+    this.eventSource.addEventListener('tiles', (event) => {
+      try {
+        const { tiles = {} } = JSON.parse(event.data);
+        Object.entries(tiles).forEach(([id, entry]) => {
+          const state = DataProcessor.pickState(entry);
+          if (!this.keepsCachedState(id, state)) this.applyState(id, state);
+        });
+      } catch (error) {
+        Utils.logError('Update Stream', error);
+      }
+    });
+  }
+
   /**
    * Load all tiles
    */
@@ -228,12 +331,30 @@ class FiscalDashboard {
     this.statusIndicator.setLoading();
     
     try {
+      // Render what the last visit saw, then revalidate every tile below
+      try {
+        await this.hydrateFromCache();
+      } catch (error) {
+        Utils.logError('Cache', error);
+      }
+
+      let pending = [...this.tiles.keys()];
+
+      // Fast path: one request to the proxy's snapshot instead of one per tile
+      if (this.dataManager.useProxy) {
+        try {
+          pending = await this.hydrateFromSnapshot();
+        } catch (error) {
+          Utils.logError('Snapshot', error);
+        }
+      }
+
       // Phase 1: Base primitives that hit external APIs directly (can run in parallel)
-      const phase1 = ["debt", "receipts", "outlays", "cash", "pop", "gdp"].filter(id => this.tiles.has(id));
+      const phase1 = pending.filter(id => !this.tiles.get(id).deps?.length);
       await Promise.all(phase1.map(id => this.reloadTile(id)));
 
       // Phase 2: Derived metrics that depend on previous states (sequential for clarity)
-      const phase2 = ["deficit", "debt_per", "rcpt_per", "debt_gdp"].filter(id => this.tiles.has(id));
+      const phase2 = pending.filter(id => this.tiles.get(id).deps?.length);
       for (const id of phase2) {
         await this.reloadTile(id);
       }
@@ -254,236 +375,16 @@ class FiscalDashboard {
    * Register all dashboard tiles
    */
   registerTiles() {
-    // 1. US National Debt
-    this.register("debt", {
-      title: "US National Debt",
-      badge: "LIVE",
-      fetcher: async () => {
-        try {
-          const response = await this.dataManager.fetchFiscalData(
-            "/v2/accounting/od/debt_to_penny",
-            {
-              fields: "record_date,tot_pub_debt_out_amt",
-              sort: "-record_date",
-              "page[size]": 3,
-              format: "json"
-            }
-          );
-          return DataProcessor.processDebtData(response.data || []);
-        } catch (error) {
-          // Fallback to current estimate when API fails
-          console.warn('Using debt fallback due to API failure:', error.message);
-          return {
-            baseValue: 35700000000000, // $35.7T current estimate
-            baseTs: Utils.nowSeconds(),
-            ratePerSec: 95000, // ~$95K per second growth rate
-            meta: 'Estimated (API unavailable)'
-          };
-        }
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 2. Federal Receipts (FYTD) - REAL DATA via proxy
-    this.register("receipts", {
-      title: "Federal Receipts (FYTD)",
-      badge: "LIVE",
-      fetcher: async () => {
-        const response = await this.dataManager.fetchFiscalData(
-          "/v1/accounting/mts/mts_table_1",
-          {
-            // Using FYTD field per Treasury schema
-            fields: "record_date,current_fytd_rcpt_amt,classification_desc",
-            filter: "record_type_cd:eq:SL,record_fiscal_year:eq:2025,classification_desc:eq:Year-to-Date",
-            sort: "-record_date",
-            "page[size]": 2,
-            format: "json"
-          }
-        );
-        return DataProcessor.processMTSData(response.data || [], 'current_fytd_rcpt_amt');
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 3. Federal Outlays (FYTD) - REAL DATA via proxy
-    this.register("outlays", {
-      title: "Federal Outlays (FYTD)",
-      badge: "LIVE", 
-      fetcher: async () => {
-        const response = await this.dataManager.fetchFiscalData(
-          "/v1/accounting/mts/mts_table_1",
-          {
-            fields: "record_date,current_fytd_outly_amt,classification_desc",
-            filter: "record_type_cd:eq:SL,record_fiscal_year:eq:2025,classification_desc:eq:Year-to-Date",
-            sort: "-record_date",
-            "page[size]": 2,
-            format: "json"
-          }
-        );
-        return DataProcessor.processMTSData(response.data || [], 'current_fytd_outly_amt');
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 4. Deficit (FYTD) - derived from outlays and receipts
-    this.register("deficit", {
-      title: "Deficit (FYTD)",
-      badge: "LIVE",
-      deps: ["outlays", "receipts"],
-      fetcher: async (deps) => {
-        const outlaysState = deps.outlays;
-        const receiptsState = deps.receipts;
-        
-        const baseValue = outlaysState.baseValue - receiptsState.baseValue;
-        const ratePerSec = (outlaysState.ratePerSec || 0) - (receiptsState.ratePerSec || 0);
-        const baseTs = Math.min(outlaysState.baseTs, receiptsState.baseTs);
-        
-        return {
-          baseValue,
-          baseTs,
-          ratePerSec,
-          meta: "Outlays − Receipts"
-        };
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 5. Operating Cash Balance - Fetch from Treasury API
-    this.register("cash", {
-      title: "Operating Cash Balance",
-      badge: "LIVE",
-      fetcher: async () => {
-        // Fetch from Treasury Daily Treasury Statement API
-        const response = await this.dataManager.fetchFiscalData(
-          "/v1/accounting/dts/dts_table_1",
-          {
-            fields: "record_date,open_today_bal",
-            filter: "account_type:eq:Treasury General Account,table_nm:eq:Table I",
-            sort: "-record_date",
-            "page[size]": 5,
-            format: "json"
-          }
-        );
-        return DataProcessor.processGenericData(response.data || [], 'open_today_bal');
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 6. US Population (estimated) - API with fallback
-    this.register("pop", {
-      title: "US Population (est.)",
-      badge: "API",
-      fetcher: async () => {
-        try {
-          const data = await this.dataManager.fetchWorldBank("SP.POP.TOTL", 8);
-          return DataProcessor.processWorldBankData(data);
-        } catch (error) {
-          console.warn('Using population fallback due to API failure:', error.message);
-          return {
-            baseValue: 341814420, // 2024 estimate
-            baseTs: Utils.nowSeconds(),
-            ratePerSec: 4.3, // ~4.3 people per second growth
-            meta: 'Estimated (API unavailable)'
-          };
-        }
-      },
-      render: v => Utils.formatNumber(v || 0)
-    });
-
-    // 7. US GDP (nominal, estimated) - API with fallback
-    this.register("gdp", {
-      title: "US GDP (nominal, est.)",
-      badge: "API",
-      fetcher: async () => {
-        try {
-          const data = await this.dataManager.fetchWorldBank("NY.GDP.MKTP.CD", 8);
-          return DataProcessor.processWorldBankData(data);
-        } catch (error) {
-          console.warn('Using GDP fallback due to API failure:', error.message);
-          return {
-            baseValue: 28781000000000, // ~$28.78T estimate
-            baseTs: Utils.nowSeconds(),
-            ratePerSec: 912000, // GDP growth per second
-            meta: 'Estimated (API unavailable)'
-          };
-        }
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 8. Debt per Citizen (derived)
-    this.register("debt_per", {
-      title: "Debt per Citizen",
-      badge: "DERIVED",
-      deps: ["debt", "pop"],
-      fetcher: async (deps) => {
-        const debtState = deps.debt;
-        const popState = deps.pop;
-        
-        const baseValue = Utils.safeDivide(debtState.baseValue, popState.baseValue);
-        const ratePerSec = Utils.safeDivide(debtState.ratePerSec || 0, popState.baseValue);
-        
-        return {
-          baseValue,
-          baseTs: debtState.baseTs,
-          ratePerSec,
-          meta: "Debt ÷ Population"
-        };
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 9. Receipts per Citizen (derived)
-    this.register("rcpt_per", {
-      title: "Receipts per Citizen (FYTD)",
-      badge: "DERIVED",
-      deps: ["receipts", "pop"],
-      fetcher: async (deps) => {
-        const receiptsState = deps.receipts;
-        const popState = deps.pop;
-        
-        const baseValue = Utils.safeDivide(receiptsState.baseValue, popState.baseValue);
-        const ratePerSec = Utils.safeDivide(receiptsState.ratePerSec || 0, popState.baseValue);
-        
-        return {
-          baseValue,
-          baseTs: receiptsState.baseTs,
-          ratePerSec,
-          meta: "Receipts ÷ Population"
-        };
-      },
-      render: v => Utils.formatUSD(v || 0, 0)
-    });
-
-    // 10. Debt-to-GDP Ratio (derived)
-    this.register("debt_gdp", {
-      title: "Debt-to-GDP Ratio",
-      badge: "DERIVED",
-      deps: ["debt", "gdp"],
-      fetcher: async (deps) => {
-        const debtState = deps.debt;
-        const gdpState = deps.gdp;
-        
-        const baseValue = Utils.safeDivide(debtState.baseValue, gdpState.baseValue);
-        const numerator = (debtState.ratePerSec || 0) * gdpState.baseValue;
-        const denominator = debtState.baseValue * (gdpState.ratePerSec || 0);
-        const ratePerSec = Utils.safeDivide(numerator - denominator, gdpState.baseValue * gdpState.baseValue);
-        
-        return {
-          baseValue,
-          baseTs: Math.min(debtState.baseTs, gdpState.baseTs),
-          ratePerSec,
-          meta: "Debt ÷ GDP (nominal)"
-        };
-      },
-      render: v => ((v || 0) * 100).toFixed(2) + "%"
-    });
+    const definitions = TileRegistry.create(this.dataManager);
+    Object.entries(definitions).forEach(([id, definition]) => this.register(id, definition));
   }
 
   /**
    * Cleanup and destroy the dashboard
    */
   destroy() {
+    this.eventSource?.close();
+    this.eventSource = null;
     this.animationLoop?.destroy();
     this.dataManager?.clearCache();
     this.debtChart?.destroy();
@@ -0,0 +1,187 @@
+// Federal business-day calendar for the U.S. Fiscal Dashboard
+// Debt to the Penny and the Daily Treasury Statement publish one record per business day, so their growth
+// rates and live values are measured in business time: only seconds that fall on a weekday that is not a
+// federal holiday count. Days are US Eastern calendar days; holidays follow the observed-date rules of
+// 5 U.S.C. 6103 and are computed locally (one-off closures by executive order are not known in advance).
+class BusinessCalendar {
+  static SECONDS_PER_DAY = 86400;
+
+  // Holiday dates per year, computed on first use
+  static holidayCache = new Map();
+
+  /**
+   * Day of the month of the nth given weekday (n = -1 for the last one)
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @param {number} weekday - Day of the week (0 = Sunday)
+   * @param {number} n - Occurrence, 1-based, or -1 for the last
+   * @returns {number} Day of the month
+   */
+  static nthWeekday(year, month, weekday, n) {
+    if (n === -1) {
+      const last = new Date(Date.UTC(year, month + 1, 0));
+      return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+    }
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  }
+
+  /**
+   * ISO date (YYYY-MM-DD) of a UTC calendar date, normalizing overflowing days
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of the month
+   * @returns {string} ISO date
+   */
+  static isoDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Observed date of a fixed-date holiday: Saturday moves to Friday, Sunday to Monday
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of the month
+   * @returns {string} ISO date
+   */
+  static observed(year, month, day) {
+    const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+    const shift = weekday === 6 ? -1 : weekday === 0 ? 1 : 0;
+    return this.isoDate(year, month, day + shift);
+  }
+
+  /**
+   * Observed federal holidays falling in a year
+   * @param {number} year - Year
+   * @returns {Set<string>} ISO dates
+   */
+  static holidays(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const dates = [
+      this.observed(year, 0, 1), // New Year's Day
+      this.observed(year + 1, 0, 1), // Next New Year's Day, observed on December 31 when it is a Saturday
+      this.isoDate(year, 0, this.nthWeekday(year, 0, 1, 3)), // Birthday of Martin Luther King, Jr.
+      this.isoDate(year, 1, this.nthWeekday(year, 1, 1, 3)), // Washington's Birthday
+      this.isoDate(year, 4, this.nthWeekday(year, 4, 1, -1)), // Memorial Day
+      ...(year >= 2021 ? [this.observed(year, 5, 19)] : []), // Juneteenth National Independence Day
+      this.observed(year, 6, 4), // Independence Day
+      this.isoDate(year, 8, this.nthWeekday(year, 8, 1, 1)), // Labor Day
+      this.isoDate(year, 9, this.nthWeekday(year, 9, 1, 2)), // Columbus Day
+      this.observed(year, 10, 11), // Veterans Day
+      this.isoDate(year, 10, this.nthWeekday(year, 10, 4, 4)), // Thanksgiving Day
+      this.observed(year, 11, 25) // Christmas Day
+    ];
+
+    const holidays = new Set(dates.filter(date => date.startsWith(`${year}-`)));
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+
+  /**
+   * Whether a date is a federal business day
+   * @param {string} isoDate - ISO date (YYYY-MM-DD)
+   * @returns {boolean} True on weekdays that are not observed federal holidays
+   */
+  static isBusinessDay(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !this.holidays(year).has(isoDate);
+  }
+
+  /**
+   * US Eastern offset from UTC at an instant (EDT from the second Sunday of March to the first Sunday of November)
+   * @param {number} ts - Unix timestamp (seconds)
+   * @returns {number} Offset in hours (-4 or -5)
+   */
+  static easternOffset(ts) {
+    const year = new Date(ts * 1000).getUTCFullYear();
+    // Both changes happen at 2:00 local time: 07:00 UTC in March, 06:00 UTC in November
+    const dstStart = Date.UTC(year, 2, this.nthWeekday(year, 2, 0, 2), 7) / 1000;
+    const dstEnd = Date.UTC(year, 10, this.nthWeekday(year, 10, 0, 1), 6) / 1000;
+    return ts >= dstStart && ts < dstEnd ? -4 : -5;
+  }
+
+  /**
+   * US Eastern calendar date of an instant
+   * @param {number} ts - Unix timestamp (seconds)
+   * @returns {string} ISO date
+   */
+  static easternDate(ts) {
+    return new Date((ts + this.easternOffset(ts) * 3600) * 1000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Midnight US Eastern at the start of a date
+   * @param {string} isoDate - ISO date (YYYY-MM-DD)
+   * @returns {number} Unix timestamp (seconds)
+   */
+  static startOfDay(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const utcMidnight = Date.UTC(year, month - 1, day) / 1000;
+    // Midnight is 04:00 or 05:00 UTC, before either clock change on that date
+    return utcMidnight - this.easternOffset(utcMidnight + 4 * 3600) * 3600;
+  }
+
+  /**
+   * Next calendar date
+   * @param {string} isoDate - ISO date (YYYY-MM-DD)
+   * @returns {string} ISO date
+   */
+  static nextDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return this.isoDate(year, month - 1, day + 1);
+  }
+
+  /**
+   * Federal fiscal year of an instant's US Eastern date, so a new year starts at midnight Eastern on October 1
+   * @param {number} [ts] - Unix timestamp (seconds, defaults to now)
+   * @returns {number} Fiscal year
+   */
+  static fiscalYear(ts = Utils.nowSeconds()) {
+    return Utils.fiscalYear(new Date(`${this.easternDate(ts)}T00:00:00Z`));
+  }
+
+  /**
+   * Timestamp of a Treasury record date: the last second of that day in US Eastern time
+   * @param {string} recordDate - ISO date (YYYY-MM-DD)
+   * @returns {number} Unix timestamp (seconds)
+   */
+  static recordTime(recordDate) {
+    return this.startOfDay(this.nextDate(recordDate)) - 1;
+  }
+
+  /**
+   * Seconds between two instants that fall on business days
+   * @param {number} startTs - Start (Unix seconds)
+   * @param {number} endTs - End (Unix seconds)
+   * @returns {number} Business seconds (negative when end precedes start)
+   */
+  static businessSecondsBetween(startTs, endTs) {
+    if (endTs < startTs) return -this.businessSecondsBetween(endTs, startTs);
+
+    let total = 0;
+    let date = this.easternDate(startTs);
+    let dayStart = this.startOfDay(date);
+    while (dayStart < endTs) {
+      const next = this.nextDate(date);
+      const dayEnd = this.startOfDay(next);
+      if (this.isBusinessDay(date)) {
+        total += Math.max(0, Math.min(endTs, dayEnd) - Math.max(startTs, dayStart));
+      }
+      date = next;
+      dayStart = dayEnd;
+    }
+    return total;
+  }
+}
+
+// Make BusinessCalendar globally available
+if (typeof window !== 'undefined') {
+  window.BusinessCalendar = BusinessCalendar;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BusinessCalendar;
+}
@@ -37,8 +37,11 @@ const CONFIG = {
     },
     worldBank: {
       base: "https://api.worldbank.org/v2/country/US/indicator",
+      proxy: "/api/worldbank",
       defaultPerPage: 8
-    }
+    },
+    snapshot: "/api/snapshot",
+    stream: "/api/stream"
   },
 
   // Application settings
@@ -48,6 +51,30 @@ const CONFIG = {
     maxRetryDelay: 1000
   },
 
+  // Persistent browser cache (DataManager, see persistent-cache.js)
+  cache: {
+    freshFor: 2 * 60 * 1000, // API responses younger than this are reused without a request
+    maxAge: 7 * 24 * 60 * 60 * 1000, // Older responses and tile states are evicted
+    maxEntries: 200,
+    maxBytes: 2 * 1024 * 1024 // Approximate, measured as JSON length
+  },
+
+  // Growth rates of ticking tiles (RateEstimator in data.js)
+  // method: 'least-squares' (slope over the window), 'ewma' or 'median' (of the changes between records)
+  // window: number of most recent records used; tile fetchers request this many
+  rates: {
+    confidence: 1.96, // Uncertainty band half-width in standard errors (~95%)
+    defaults: { method: 'least-squares', window: 10 },
+    tiles: {
+      debt: { method: 'median', window: 15 }, // One auction settlement day does not move the median
+      debt_public: { method: 'median', window: 15 },
+      debt_intragov: { method: 'median', window: 15 }, // Trust fund interest is credited in lumps on a few days a year
+      receipts: { method: 'least-squares', window: 6 },
+      outlays: { method: 'least-squares', window: 6 },
+      cash: { method: 'ewma', window: 10 }
+    }
+  },
+
   // Constants
   constants: {
     SEC_YEAR: 365 * 24 * 3600,
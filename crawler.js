@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+// Historical data crawler
+// Usage: node crawler.js [--mts] [--full]
+//   --mts   also crawl Monthly Treasury Statement receipts and outlays
+//   --full  ignore stored records and crawl everything again
+
+const { crawl } = require('./lib/crawler');
+
+const args = process.argv.slice(2);
+
+crawl({ mts: args.includes('--mts'), full: args.includes('--full') })
+  .catch(error => {
+    console.error(`❌ Crawl failed: ${error.message}`);
+    process.exit(1);
+  });
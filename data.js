@@ -1,30 +1,27 @@
 // Data fetching and API management for the U.S. Fiscal Dashboard
 class DataManager {
   constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 2 * 60 * 1000; // Reduced to 2 minutes for more frequent API attempts
+    // API responses ("response:<url>") and last good tile states ("tile:<id>") survive reloads
+    this.cache = new PersistentCache(CONFIG.cache);
+    this.cacheTimeout = CONFIG.cache.freshFor;
+    this.inFlight = new Map(); // Requests under way by URL, shared by tiles that ask for the same data at once
     this.useFallbackData = false; // Flag to use fallback when APIs fail
     this.useProxy = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
   }
 
   /**
-   * Get the appropriate API base URL
-   * @param {string} endpoint - API endpoint type (debt, mts, dts)
-   * @returns {string} Base URL for API calls
+   * Get the URL for a Fiscal Data API path
+   * @param {string} path - API path below the Fiscal Data base (e.g. /v2/accounting/od/debt_to_penny)
+   * @param {string} queryString - Encoded query string
+   * @returns {string} Proxy route for registered datasets when proxying, direct Treasury URL otherwise
    */
-  getApiBase(endpoint) {
-    if (this.useProxy) {
-      // Use proxy server for local development
-      const proxyMap = {
-        'debt': '/api/debt',
-        'mts': '/api/mts', 
-        'dts': '/api/dts'
-      };
-      return proxyMap[endpoint] || '/api/debt';
-    } else {
+  getApiUrl(path, queryString) {
+    const endpoint = EndpointRegistry.nameForPath(path);
+    const baseUrl = this.useProxy && endpoint
+      ? EndpointRegistry.route(endpoint)
       // Production: use direct Treasury API (CORS-enabled endpoints only)
-      return 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service';
-    }
+      : `${EndpointRegistry.FISCAL_DATA_BASE}${path}`;
+    return queryString ? `${baseUrl}?${queryString}` : baseUrl;
   }
 
   /**
@@ -45,10 +42,10 @@ class DataManager {
   }
 
   /**
-   * Force refresh by clearing cache and retrying APIs
+   * Force refresh by clearing cached responses and retrying APIs (tile states stay until replaced)
    */
   forceRefresh() {
-    this.cache.clear();
+    this.cache.clear('response:');
     this.useFallbackData = false;
     Utils.logError('Cache cleared - will attempt fresh API calls');
   }
@@ -94,29 +91,35 @@ class DataManager {
    * @param {number} retries - Number of retries
    * @returns {Promise<Object>} API response
    */
-  async fetchFiscalData(path, params = {}, retries = 2) {
+  fetchFiscalData(path, params = {}, retries = 2) {
     const queryString = Utils.createSearchParams(params);
     const fullPath = path + (queryString ? `?${queryString}` : "");
-    
+
+    if (!this.inFlight.has(fullPath)) {
+      const request = this.requestFiscalData(path, queryString, fullPath, retries)
+        .finally(() => this.inFlight.delete(fullPath));
+      this.inFlight.set(fullPath, request);
+    }
+    return this.inFlight.get(fullPath);
+  }
+
+  /**
+   * Fetch one Fiscal Data URL, from the cache when fresh (see fetchFiscalData)
+   * @param {string} path - API path
+   * @param {string} queryString - Encoded query string
+   * @param {string} fullPath - Path and query string, the cache key
+   * @param {number} retries - Number of retries
+   * @returns {Promise<Object>} API response
+   */
+  async requestFiscalData(path, queryString, fullPath, retries) {
     // Check cache first
     const cacheKey = fullPath;
-    const cached = this.getFromCache(cacheKey);
+    const cached = await this.getFromCache(cacheKey);
     if (cached) {
       return cached;
     }
 
-    // Determine API type and base URL
-    let endpoint = 'debt';
-    if (path.includes('/mts/')) endpoint = 'mts';
-    if (path.includes('/dts/')) endpoint = 'dts';
-    
-    const baseUrl = this.getApiBase(endpoint);
-    let finalUrl;
-    if (this.useProxy) {
-      finalUrl = queryString ? `${baseUrl}?${queryString}` : baseUrl;
-    } else {
-      finalUrl = `${baseUrl}${fullPath}`;
-    }
+    const finalUrl = this.getApiUrl(path, queryString);
     
     let attempt = 0;
     let delay = 250; // initial backoff
@@ -131,6 +134,12 @@ class DataManager {
         Utils.logError(`Treasury API attempt ${attempt} failed`, error);
         if (attempt > retries) {
           this.useFallbackData = true;
+          // The last good response beats no data at all
+          const stale = await this.getFromCache(cacheKey, { allowStale: true });
+          if (stale) {
+            console.warn(`📁 Using cached response for ${fullPath}`);
+            return stale;
+          }
           throw new Error(`Treasury API unavailable after ${attempt} attempts: ${error.message}`);
         }
         await Utils.delay(delay);
@@ -139,6 +148,60 @@ class DataManager {
     }
   }
 
+  /**
+   * Fetch every row of a registered dataset in one call, letting the proxy follow the pagination
+   * @param {string} path - API path (e.g. /v1/accounting/dts/dts_table_1)
+   * @param {Object} params - Query parameters (filters, fields, sort; paging is ignored)
+   * @returns {Promise<Object>} Merged response ({ data, meta })
+   */
+  async fetchAllFiscalData(path, params = {}) {
+    if (!this.useProxy || !EndpointRegistry.nameForPath(path)) {
+      throw new Error(`Full pagination needs the proxy and a registered dataset: ${path}`);
+    }
+    return this.fetchJSON(this.getApiUrl(path, Utils.createSearchParams({ ...params, all: true })));
+  }
+
+  /**
+   * Fetch every tile's state from the proxy's aggregated snapshot
+   * @returns {Promise<Object>} Snapshot document with a `tiles` map
+   */
+  async fetchSnapshot() {
+    return this.fetchJSON(CONFIG.api.snapshot);
+  }
+
+  /**
+   * Fetch the Monthly Statement of the Public Debt summary for the latest months
+   * Each month has one row per security class (bills, notes, ... and the nonmarketable series) plus totals.
+   * @param {number} months - Months wanted; one more is requested since a month's statement appears in the next
+   * @returns {Promise<Object>} API response with amounts in millions (see DataProcessor.toDollars)
+   */
+  async fetchSecuritiesOutstanding(months = 2) {
+    const since = new Date();
+    since.setUTCDate(1);
+    since.setUTCMonth(since.getUTCMonth() - months - 1);
+    return this.fetchFiscalData(EndpointRegistry.get('mspd').path, {
+      fields: 'record_date,security_type_desc,security_class_desc,total_mil_amt',
+      filter: `record_date:gte:${since.toISOString().slice(0, 10)}`,
+      sort: '-record_date',
+      'page[size]': 100,
+      format: 'json'
+    });
+  }
+
+  /**
+   * Fetch every marketable security outstanding at one month end (MSPD detail, one row per issue)
+   * @param {string} recordDate - Statement date (YYYY-MM-DD)
+   * @returns {Promise<Object>} API response with amounts in millions (see DataProcessor.toDollars)
+   */
+  async fetchMarketableSecurities(recordDate) {
+    return this.fetchFiscalData(EndpointRegistry.get('mspd_market').path, {
+      fields: 'record_date,security_class1_desc,maturity_date,outstanding_amt',
+      filter: `record_date:eq:${recordDate}`,
+      'page[size]': 10000, // Fiscal Data's largest page; a month has a few hundred issues
+      format: 'json'
+    });
+  }
+
   /**
    * Fetch data from World Bank API
    * @param {string} indicator - World Bank indicator code
@@ -146,10 +209,12 @@ class DataManager {
    * @returns {Promise<Array>} Filtered data array
    */
   async fetchWorldBank(indicator, perPage = CONFIG.api.worldBank.defaultPerPage) {
-    const url = `${CONFIG.api.worldBank.base}/${indicator}?format=json&per_page=${perPage}`;
+    // Go through the proxy when available so recorded fixtures can answer offline
+    const base = this.useProxy ? CONFIG.api.worldBank.proxy : CONFIG.api.worldBank.base;
+    const url = `${base}/${indicator}?format=json&per_page=${perPage}`;
     
     // Check cache first
-    const cached = this.getFromCache(url);
+    const cached = await this.getFromCache(url);
     if (cached) {
       return cached;
     }
@@ -161,10 +226,13 @@ class DataManager {
       return data;
     } catch (error) {
       Utils.logError('WorldBank API', error);
-      // Provide fallback data for key indicators when World Bank API fails
+      const stale = await this.getFromCache(url, { allowStale: true });
+      if (stale) {
+        return stale;
+      }
+      // Provide fallback data for key indicators when World Bank API fails (never cached, so the next load retries)
       const fallbackData = this.getWorldBankFallback(indicator);
       if (fallbackData) {
-        this.setCache(url, fallbackData);
         return fallbackData;
       }
       throw error;
@@ -194,39 +262,56 @@ class DataManager {
   }
 
   /**
-   * Get data from cache if not expired
-   * @param {string} key - Cache key
-   * @returns {any|null} Cached data or null
+   * Get a cached API response
+   * @param {string} key - Cache key (request path or URL)
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.allowStale] - Also return responses older than cacheTimeout
+   * @returns {Promise<any|null>} Cached data or null
    */
-  getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
-    
-    if (Date.now() - cached.timestamp > this.cacheTimeout) {
-      this.cache.delete(key);
-      return null;
-    }
-    
-    return cached.data;
+  async getFromCache(key, { allowStale = false } = {}) {
+    const entry = await this.cache.get(`response:${key}`);
+    if (!entry) return null;
+    if (!allowStale && Date.now() - entry.storedAt > this.cacheTimeout) return null;
+    return entry.value;
   }
 
   /**
-   * Set data in cache with timestamp
-   * @param {string} key - Cache key
+   * Cache an API response (stored in the background)
+   * @param {string} key - Cache key (request path or URL)
    * @param {any} data - Data to cache
    */
   setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+    this.cache.set(`response:${key}`, data);
+  }
+
+  /**
+   * Tile states saved by earlier visits
+   * @returns {Promise<Object>} { state, storedAt } keyed by tile ID
+   */
+  async getCachedTileStates() {
+    const entries = await this.cache.list('tile:');
+    return Object.fromEntries(entries.map(entry => [entry.key.slice('tile:'.length), {
+      state: entry.value,
+      storedAt: entry.storedAt
+    }]));
+  }
+
+  /**
+   * Save a tile state for the next visit; estimates and states that are themselves cached are skipped
+   * @param {string} id - Tile ID
+   * @param {Object} state - Tile state
+   */
+  saveTileState(id, state) {
+    if (state.cached || DataProcessor.isEstimate(state)) return;
+    this.cache.set(`tile:${id}`, DataProcessor.pickState(state));
   }
 
   /**
    * Clear all cached data
+   * @returns {Promise<void>}
    */
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
   }
 }
 
@@ -255,63 +340,124 @@ class DataProcessor {
     if (Utils.isNullish(state.ratePerSec) || Utils.isNullish(state.baseTs)) {
       return state.baseValue;
     }
-    return state.baseValue + state.ratePerSec * (Utils.nowSeconds() - state.baseTs);
+    return state.baseValue + state.ratePerSec * this.elapsedSeconds(state.baseTs, Utils.nowSeconds(), state.clock);
+  }
+
+  /**
+   * Whether a tile state is a fetcher's built-in estimate rather than API data
+   * @param {Object} state - Tile state
+   * @returns {boolean} True for fallback estimates
+   */
+  static isEstimate(state) {
+    // Tile fetchers mark their fallback values with an "Estimated (API unavailable)" meta line
+    return /^Estimated\b/.test(state?.meta || '');
   }
 
   /**
    * Process debt data from Fiscal Data API
    * @param {Array} rows - API response data
+   * @param {Object} [rateOptions] - RateEstimator options (CONFIG.rates.tiles entry)
+   * @param {string} [field] - Debt to the Penny amount field
    * @returns {Object} Processed state object
    */
-  static processDebtData(rows) {
+  static processDebtData(rows, rateOptions, field = 'tot_pub_debt_out_amt') {
     if (rows.length === 0) throw new Error("No debt data returned");
+    const state = this.processSeries(rows, field, rateOptions, EndpointRegistry.get('debt').clock);
+    if (!Number.isFinite(state.baseValue)) throw new Error(`Invalid ${field} in debt data`);
     const current = rows[0];
-    const previous = rows[1];
-    const currentValue = Utils.toNumber(current.tot_pub_debt_out_amt);
-    const currentTime = Utils.parseDate(current.record_date);
-    let ratePerSec = 0;
+    return {
+      ...state,
+      meta: rows.length > 1 ? `Base ${current.record_date} • ${RateEstimator.describe(rateOptions, rows.length)}` : `As of ${current.record_date}`
+    };
+  }
+
+  /**
+   * Unit of a response's amount fields
+   * The endpoint registry declares each dataset's unit. Fiscal Data labels some amount columns with theirs
+   * ("... (in Millions)"); such a label has to agree with the registry.
+   * @param {Object} response - Fiscal Data API response
+   * @param {string} dataset - Endpoint registry name
+   * @param {string[]} fields - Amount fields
+   * @returns {string} Unit name (a key of EndpointRegistry.UNITS)
+   * @throws {Error} When no unit is known or the declared units disagree
+   */
+  static amountUnit(response, dataset, fields) {
+    const units = new Set();
+    const registered = EndpointRegistry.get(dataset)?.unit;
+    if (registered) units.add(registered);
+
+    fields.forEach(field => {
+      const label = response.meta?.labels?.[field] || '';
+      const match = /\bin (dollars|thousands|millions|billions)\b/i.exec(label);
+      if (match) units.add(match[1].toLowerCase());
+    });
+
+    if (units.size === 0) throw new Error(`No unit declared for ${dataset} amounts`);
+    if (units.size > 1) throw new Error(`Mixed units for ${dataset} amounts: ${[...units].join(', ')}`);
+    return [...units][0];
+  }
+
+  /**
+   * Copy a response's rows with amount fields converted to dollars
+   * Tile fetchers convert before processing, so every state and derived value is in dollars.
+   * @param {Object} response - Fiscal Data API response
+   * @param {string} dataset - Endpoint registry name
+   * @param {string[]} fields - Amount fields
+   * @returns {Array} Rows with the amount fields as numbers of dollars
+   */
+  static toDollars(response, dataset, fields) {
+    const scale = EndpointRegistry.UNITS[this.amountUnit(response, dataset, fields)];
+    return (response.data || []).map(row => {
+      const converted = { ...row };
+      fields.forEach(field => {
+        if (!Utils.isNullish(row[field]) && row[field] !== 'null') {
+          converted[field] = Utils.toNumber(row[field]) * scale;
+        }
+      });
+      return converted;
+    });
+  }
+
+  /**
+   * Process average interest rate data from Fiscal Data API
+   * Monthly averages are shown as published rather than extrapolated.
+   * @param {Array} rows - API response data for one security class, newest first
+   * @returns {Object} Processed state object with the rate in percent
+   */
+  static processInterestRateData(rows) {
+    if (rows.length === 0) throw new Error("No interest rate data returned");
+    const [current, previous] = rows;
+    const rate = Utils.toNumber(current.avg_interest_rate_amt);
+    if (!Number.isFinite(rate)) throw new Error("Invalid interest rate data");
+    let meta = `As of ${current.record_date}`;
     if (previous) {
-      const previousValue = Utils.toNumber(previous.tot_pub_debt_out_amt);
-      const previousTime = Utils.parseDate(previous.record_date);
-      ratePerSec = this.calculateRatePerSecond(
-        currentValue, previousValue, currentTime, previousTime
-      );
+      const change = rate - Utils.toNumber(previous.avg_interest_rate_amt);
+      meta += ` • ${change < 0 ? '−' : '+'}${Math.abs(change).toFixed(3)} pts vs ${previous.record_date}`;
     }
     return {
-      baseValue: currentValue,
-      baseTs: currentTime,
-      ratePerSec,
-      meta: previous ? `Base ${current.record_date} • Δ vs prev` : `As of ${current.record_date}`
+      baseValue: rate,
+      baseTs: BusinessCalendar.recordTime(current.record_date),
+      ratePerSec: 0,
+      clock: EndpointRegistry.get('interest').clock,
+      meta
     };
   }
 
   /**
    * Process MTS data (receipts/outlays) from Fiscal Data API
-   * @param {Array} rows - API response data
+   * @param {Array} rows - API response data with amounts in dollars (see toDollars)
    * @param {string} field - Field name to extract
+   * @param {Object} [rateOptions] - RateEstimator options (CONFIG.rates.tiles entry)
    * @returns {Object} Processed state object
    */
-  static processMTSData(rows, field) {
+  static processMTSData(rows, field, rateOptions) {
     if (rows.length === 0) throw new Error("No MTS data returned");
     const current = rows[0];
-    const previous = rows[1];
     // Support alternate field names if provided
     const candidates = [field, 'current_month_gross_rcpt_amt', 'current_month_gross_outly_amt'];
     const pickField = candidates.find(f => current[f] != null) || field;
-    const currentValue = Utils.toNumber(current[pickField]);
-    const currentTime = Utils.parseDate(current.record_date);
-    let ratePerSec = 0;
-    if (previous) {
-      const previousValue = Utils.toNumber(previous[pickField]);
-      const previousTime = Utils.parseDate(previous.record_date);
-      ratePerSec = this.calculateRatePerSecond(
-        currentValue, previousValue, currentTime, previousTime
-      );
-    }
     return {
-      baseValue: currentValue,
-      baseTs: currentTime,
-      ratePerSec,
+      ...this.processSeries(rows, pickField, rateOptions, EndpointRegistry.get('mts').clock),
       meta: `As of ${current.record_date}`
     };
   }
@@ -320,30 +466,81 @@ class DataProcessor {
    * Process generic data with two data points for rate calculation
    * @param {Array} rows - API response data
    * @param {string} field - Field name to extract value from
+   * @param {Object} [rateOptions] - RateEstimator options (CONFIG.rates.tiles entry)
    * @returns {Object} Processed state object
    */
-  static processGenericData(rows, field) {
-    if (rows.length < 1) throw new Error("Insufficient data");
-    
-    const [current, previous] = rows;
-    const currentValue = Utils.toNumber(current[field]);
-    const currentTime = Utils.parseDate(current.record_date);
-    
-    let ratePerSec = 0;
-    if (previous?.[field]) {
-      const previousValue = Utils.toNumber(previous[field]);
-      const previousTime = Utils.parseDate(previous.record_date);
-      ratePerSec = this.calculateRatePerSecond(currentValue, previousValue, currentTime, previousTime);
-    }
+  static processGenericData(rows, field, rateOptions, clock = 'calendar') {
+    const usable = rows.filter(row => !Utils.isNullish(row[field]));
+    if (usable.length < 1) throw new Error("Insufficient data");
     
     return {
-      baseValue: currentValue,
-      baseTs: currentTime,
+      ...this.processSeries(usable, field, rateOptions, clock),
+      meta: `As of ${usable[0].record_date}`
+    };
+  }
+
+  /**
+   * Latest value of a dated series and its growth rate
+   * Record dates are stamped at the end of the day in US Eastern time. With the business clock, time between
+   * records only counts on federal business days, so a weekend or holiday gap is not mistaken for slow growth.
+   * @param {Array} rows - API response data, newest first
+   * @param {string} field - Field name to extract
+   * @param {Object} [rateOptions] - RateEstimator options
+   * @param {string} [clock] - 'business' or 'calendar' (see calculateLiveValue)
+   * @returns {Object} baseValue, baseTs, ratePerSec (per business second with the business clock),
+   *   rateUncertainty and clock
+   */
+  static processSeries(rows, field, rateOptions, clock = 'calendar') {
+    const baseTs = BusinessCalendar.recordTime(rows[0].record_date);
+    const points = rows.map(row => {
+      const ts = BusinessCalendar.recordTime(row.record_date);
+      return { ts: this.elapsedSeconds(baseTs, ts, clock), value: Utils.toNumber(row[field]) };
+    });
+    const { ratePerSec, uncertainty } = RateEstimator.estimate(points, rateOptions);
+    return {
+      baseValue: points[0].value,
+      baseTs,
       ratePerSec,
-      meta: `As of ${current.record_date}`
+      rateUncertainty: uncertainty,
+      clock
     };
   }
 
+  /**
+   * Seconds from one instant to another on a tile's clock
+   * @param {number} fromTs - Start (Unix seconds)
+   * @param {number} toTs - End (Unix seconds)
+   * @param {string} [clock] - 'business' counts federal business days only; anything else counts every second
+   * @returns {number} Elapsed seconds
+   */
+  static elapsedSeconds(fromTs, toTs, clock) {
+    return clock === 'business' ? BusinessCalendar.businessSecondsBetween(fromTs, toTs) : toTs - fromTs;
+  }
+
+  /**
+   * The fields that make up a tile state, as sent in snapshots and stored by the cache
+   * @param {Object} source - Tile state or snapshot entry
+   * @returns {Object} baseValue, baseTs, ratePerSec, rateUncertainty, clock and meta
+   */
+  static pickState(source) {
+    const { baseValue, baseTs, ratePerSec, rateUncertainty = null, clock = 'calendar', meta } = source;
+    return { baseValue, baseTs, ratePerSec, rateUncertainty, clock, meta };
+  }
+
+  /**
+   * Growth rate per day with its uncertainty band, e.g. "Trend +$6,000,000,000/day ± $900,000,000"
+   * @param {Object} state - Tile state
+   * @param {Function} render - The tile's value formatter
+   * @returns {string} Description, or '' when the state has no uncertainty
+   */
+  static describeRate(state, render) {
+    if (Utils.isNullish(state?.rateUncertainty) || Utils.isNullish(state.ratePerSec)) return '';
+    const perDay = state.ratePerSec * 86400;
+    const sign = perDay < 0 ? '−' : '+';
+    const day = state.clock === 'business' ? 'business day' : 'day';
+    return `Trend ${sign}${render(Math.abs(perDay))}/${day} ± ${render(state.rateUncertainty * 86400)}`;
+  }
+
   /**
    * Process World Bank data with continuous growth calculation
    * @param {Array} rows - World Bank API response data
@@ -368,13 +565,139 @@ class DataProcessor {
   }
 }
 
+class RateEstimator {
+  static METHODS = ['least-squares', 'ewma', 'median'];
+
+  /**
+   * Estimate a growth rate from the most recent points of a series
+   * With two points this is the plain difference quotient and the uncertainty is unknown.
+   * @param {Array<{ts: number, value: number}>} points - Timestamps (seconds) and values, in any order
+   * @param {Object} [options] - Estimation options (defaults: CONFIG.rates.defaults)
+   * @param {string} [options.method] - 'least-squares', 'ewma' or 'median'
+   * @param {number} [options.window] - Number of most recent points used
+   * @returns {{ratePerSec: number, uncertainty: number|null}} Rate and the half-width of its band (per second)
+   */
+  static estimate(points, options = {}) {
+    const { method, window } = { ...CONFIG.rates.defaults, ...options };
+    if (!this.METHODS.includes(method)) throw new Error(`Unknown rate method: ${method}`);
+
+    const series = points
+      .filter(point => Number.isFinite(point.ts) && Number.isFinite(point.value))
+      .sort((a, b) => a.ts - b.ts)
+      .slice(-window);
+
+    if (series.length < 2) return { ratePerSec: 0, uncertainty: null };
+    if (series.length === 2) {
+      const [previous, current] = series;
+      return {
+        ratePerSec: DataProcessor.calculateRatePerSecond(current.value, previous.value, current.ts, previous.ts),
+        uncertainty: null
+      };
+    }
+
+    const { rate, standardError } = method === 'least-squares'
+      ? this.leastSquares(series)
+      : this[method](this.deltas(series));
+    return {
+      ratePerSec: rate,
+      uncertainty: Number.isFinite(standardError) ? standardError * CONFIG.rates.confidence : null
+    };
+  }
+
+  /**
+   * Slope of the least-squares line through the points
+   * @param {Array<{ts: number, value: number}>} series - At least three points, ascending
+   * @returns {{rate: number, standardError: number}} Slope and its standard error
+   */
+  static leastSquares(series) {
+    const n = series.length;
+    const meanTs = series.reduce((sum, point) => sum + point.ts, 0) / n;
+    const meanValue = series.reduce((sum, point) => sum + point.value, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    series.forEach(point => {
+      sxx += (point.ts - meanTs) ** 2;
+      sxy += (point.ts - meanTs) * (point.value - meanValue);
+    });
+    if (sxx === 0) return { rate: 0, standardError: NaN };
+
+    const rate = sxy / sxx;
+    const residuals = series.reduce((sum, point) => {
+      const fitted = meanValue + rate * (point.ts - meanTs);
+      return sum + (point.value - fitted) ** 2;
+    }, 0);
+    return { rate, standardError: Math.sqrt(residuals / (n - 2) / sxx) };
+  }
+
+  /**
+   * Rates between consecutive points
+   * @param {Array<{ts: number, value: number}>} series - Points, ascending
+   * @returns {number[]} Rates per second, oldest first
+   */
+  static deltas(series) {
+    return series.slice(1).map((point, i) =>
+      DataProcessor.calculateRatePerSecond(point.value, series[i].value, point.ts, series[i].ts));
+  }
+
+  /**
+   * Exponentially weighted mean of the rates, recent ones weighing most
+   * @param {number[]} rates - Rates, oldest first
+   * @returns {{rate: number, standardError: number}} Weighted mean and its standard error
+   */
+  static ewma(rates) {
+    const alpha = 2 / (rates.length + 1);
+    let mean = rates[0];
+    let variance = 0;
+    rates.slice(1).forEach(rate => {
+      const diff = rate - mean;
+      mean += alpha * diff;
+      variance = (1 - alpha) * (variance + alpha * diff * diff);
+    });
+    // Variance of an EWMA of independent values is alpha / (2 - alpha) times theirs
+    return { rate: mean, standardError: Math.sqrt(variance * alpha / (2 - alpha)) };
+  }
+
+  /**
+   * Median of the rates, which ignores isolated spikes
+   * @param {number[]} rates - Rates
+   * @returns {{rate: number, standardError: number}} Median and its standard error (from the MAD)
+   */
+  static median(rates) {
+    const middle = values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const half = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2;
+    };
+    const rate = middle(rates);
+    // 1.4826 × MAD estimates the standard deviation; the median's standard error is ~1.2533 σ / √n
+    const sigma = 1.4826 * middle(rates.map(value => Math.abs(value - rate)));
+    return { rate, standardError: 1.2533 * sigma / Math.sqrt(rates.length) };
+  }
+
+  /**
+   * Describe how a rate was estimated, for tile meta lines
+   * @param {Object} [options] - Estimation options
+   * @param {number} count - Points available
+   * @returns {string} Description, e.g. "median Δ of 15 records"
+   */
+  static describe(options = {}, count) {
+    const { method, window } = { ...CONFIG.rates.defaults, ...options };
+    const used = Math.min(count, window);
+    if (used <= 2) return 'Δ vs prev';
+    const label = { 'least-squares': 'trend', ewma: 'EWMA Δ', median: 'median Δ' }[method];
+    return `${label} of ${used} records`;
+  }
+}
+
 // Make classes globally available
 if (typeof window !== 'undefined') {
   window.DataManager = DataManager;
   window.DataProcessor = DataProcessor;
+  window.RateEstimator = RateEstimator;
 }
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DataManager, DataProcessor };
+  module.exports = { DataManager, DataProcessor, RateEstimator };
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+// Debt breakdown chart for the U.S. Fiscal Dashboard
+// Stacked area of debt held by the public and intragovernmental holdings at each month end, from Debt to the
+// Penny, with the latest share of each below the chart.
+class DebtBreakdown {
+  static YEARS = 5;
+
+  // Debt to the Penny components; tot_pub_debt_out_amt is their sum
+  static FIELDS = ['debt_held_public_amt', 'intragov_hold_amt'];
+
+  /**
+   * Create a breakdown chart
+   * @param {string} canvasId - Canvas element ID
+   * @param {string} sharesId - ID of the element that shows the latest shares
+   * @param {Object} dataManager - Object providing fetchFiscalData()
+   */
+  constructor(canvasId, sharesId, dataManager) {
+    this.canvas = document.getElementById(canvasId);
+    this.sharesElement = document.getElementById(sharesId);
+    this.dataManager = dataManager;
+    this.chart = null;
+  }
+
+  /**
+   * Keep the last record of each month
+   * @param {Array} rows - Records in dollars, any order
+   * @returns {Array<{record_date: string, public: number, intragov: number, publicShare: number}>} Ascending
+   */
+  static monthEnds(rows) {
+    const byMonth = new Map();
+    [...rows]
+      .sort((a, b) => a.record_date.localeCompare(b.record_date))
+      .forEach(row => byMonth.set(row.record_date.slice(0, 7), row));
+
+    return [...byMonth.values()]
+      .filter(row => !Utils.isNullish(row.debt_held_public_amt) && !Utils.isNullish(row.intragov_hold_amt))
+      .map(row => ({
+        record_date: row.record_date,
+        public: row.debt_held_public_amt,
+        intragov: row.intragov_hold_amt,
+        publicShare: Utils.safeDivide(row.debt_held_public_amt, row.debt_held_public_amt + row.intragov_hold_amt)
+      }));
+  }
+
+  /**
+   * Fetch the records and draw the chart
+   */
+  async init() {
+    if (!this.canvas || typeof Chart === 'undefined') return;
+
+    try {
+      const since = new Date();
+      since.setUTCFullYear(since.getUTCFullYear() - DebtBreakdown.YEARS);
+      const response = await this.dataManager.fetchFiscalData(EndpointRegistry.get('debt').path, {
+        fields: `record_date,${DebtBreakdown.FIELDS.join(',')}`,
+        filter: `record_date:gte:${since.toISOString().slice(0, 10)}`,
+        sort: '-record_date',
+        'page[size]': DebtBreakdown.YEARS * 260, // Business days
+        format: 'json'
+      });
+
+      const series = DebtBreakdown.monthEnds(DataProcessor.toDollars(response, 'debt', DebtBreakdown.FIELDS));
+      if (series.length === 0) throw new Error('No debt breakdown data returned');
+
+      this.render(series);
+      this.showShares(series[series.length - 1]);
+    } catch (error) {
+      Utils.logError('Debt Breakdown', error);
+      if (this.sharesElement) this.sharesElement.textContent = 'Debt breakdown unavailable';
+    }
+  }
+
+  /**
+   * Draw the stacked area chart
+   * @param {Array} series - Month-end records from monthEnds()
+   */
+  render(series) {
+    const trillions = value => value / 1e12;
+    const white = '#ffffff';
+    const grid = 'rgba(255, 255, 255, 0.1)';
+
+    this.chart?.destroy();
+    this.chart = new Chart(this.canvas, {
+      type: 'line',
+      data: {
+        labels: series.map(point => point.record_date.slice(0, 7)),
+        datasets: [
+          {
+            label: 'Debt Held by the Public ($T)',
+            data: series.map(point => trillions(point.public)),
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.5)',
+            fill: true,
+            pointRadius: 0,
+            tension: 0.2
+          },
+          {
+            label: 'Intragovernmental Holdings ($T)',
+            data: series.map(point => trillions(point.intragov)),
+            borderColor: '#f59e0b',
+            backgroundColor: 'rgba(245, 158, 11, 0.5)',
+            fill: '-1',
+            pointRadius: 0,
+            tension: 0.2
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          title: {
+            display: true,
+            text: 'WHO HOLDS THE DEBT: Public vs Intragovernmental',
+            color: white,
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: { labels: { color: white, font: { size: 12 } } },
+          tooltip: {
+            backgroundColor: 'rgba(0, 0, 0, 0.9)',
+            callbacks: {
+              label: context => {
+                const point = series[context.dataIndex];
+                const share = context.datasetIndex === 0 ? point.publicShare : 1 - point.publicShare;
+                return `${context.dataset.label.replace(' ($T)', '')}: $${context.parsed.y.toFixed(2)}T (${(share * 100).toFixed(1)}%)`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: { ticks: { color: white, maxTicksLimit: 12 }, grid: { color: grid } },
+          y: {
+            stacked: true,
+            ticks: { color: white, callback: value => `$${value.toFixed(0)}T` },
+            grid: { color: grid }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Show the latest share of each holder
+   * @param {Object} latest - Latest month-end record
+   */
+  showShares(latest) {
+    if (!this.sharesElement) return;
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    this.sharesElement.textContent = `As of ${latest.record_date}: held by the public ${percent(latest.publicShare)} `
+      + `(${Utils.formatCompactUSD(latest.public)}) • intragovernmental ${percent(1 - latest.publicShare)} `
+      + `(${Utils.formatCompactUSD(latest.intragov)})`;
+  }
+
+  /**
+   * Remove the chart
+   */
+  destroy() {
+    this.chart?.destroy();
+    this.chart = null;
+  }
+}
+
+// Make DebtBreakdown globally available
+if (typeof window !== 'undefined') {
+  window.DebtBreakdown = DebtBreakdown;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DebtBreakdown;
+}
@@ -0,0 +1,219 @@
+// Debt composition panel for the U.S. Fiscal Dashboard
+// Breaks the debt down by security class from the Monthly Statement of the Public Debt: the amount of each,
+// its share of the total and the change since the previous statement. Marketable classes carry the average
+// time to maturity, weighted by amount outstanding, as a tooltip.
+class DebtComposition {
+  static DAYS_PER_YEAR = 365.25;
+
+  // MSPD summary rows shown, by security class (or type, for the nonmarketable total); together they make up the
+  // total public debt
+  static CLASSES = [
+    { key: 'bills', label: 'Bills', desc: 'Bills' },
+    { key: 'notes', label: 'Notes', desc: 'Notes' },
+    { key: 'bonds', label: 'Bonds', desc: 'Bonds' },
+    { key: 'tips', label: 'TIPS', desc: 'Treasury Inflation-Protected Securities' },
+    { key: 'frns', label: 'Floating Rate Notes', desc: 'Floating Rate Notes' },
+    { key: 'ffb', label: 'Federal Financing Bank', desc: 'Federal Financing Bank' },
+    { key: 'nonmarketable', label: 'Non-marketable', desc: 'Total Nonmarketable' }
+  ];
+
+  /**
+   * Create a composition panel
+   * @param {string} containerId - Element the table is rendered into
+   * @param {Object} dataManager - Object providing fetchSecuritiesOutstanding() and fetchMarketableSecurities()
+   */
+  constructor(containerId, dataManager) {
+    this.container = document.getElementById(containerId);
+    this.dataManager = dataManager;
+  }
+
+  /**
+   * Amount, share and month-over-month change of each security class
+   * @param {Array} rows - MSPD summary records in dollars, any order
+   * @returns {{recordDate: string, previousDate: string|null, total: number, classes: Array<Object>}} Composition
+   *   at the latest statement; each class has amount, share, and change and shareChange (null without a prior month)
+   */
+  static compose(rows) {
+    const dates = [...new Set(rows.map(row => row.record_date))].sort().reverse();
+    if (dates.length === 0) throw new Error('No MSPD data returned');
+    const [recordDate, previousDate = null] = dates;
+
+    const amounts = (date) => {
+      const statement = rows.filter(row => row.record_date === date);
+      return new Map(DebtComposition.CLASSES
+        .map(cls => [cls.key, statement.find(row => row.security_class_desc === cls.desc || row.security_type_desc === cls.desc)?.total_mil_amt])
+        .filter(([, amount]) => Number.isFinite(amount)));
+    };
+    const sum = values => [...values.values()].reduce((total, value) => total + value, 0);
+
+    const current = amounts(recordDate);
+    if (current.size === 0) throw new Error(`No security classes in the ${recordDate} statement`);
+    const previous = previousDate ? amounts(previousDate) : new Map();
+    const total = sum(current);
+    const previousTotal = sum(previous);
+
+    return {
+      recordDate,
+      previousDate,
+      total,
+      classes: DebtComposition.CLASSES.filter(cls => current.has(cls.key)).map(cls => {
+        const amount = current.get(cls.key);
+        const share = Utils.safeDivide(amount, total);
+        const before = previous.get(cls.key);
+        return {
+          ...cls,
+          amount,
+          share,
+          change: Utils.isNullish(before) ? null : amount - before,
+          shareChange: Utils.isNullish(before) ? null : share - Utils.safeDivide(before, previousTotal)
+        };
+      })
+    };
+  }
+
+  /**
+   * Marketable class of an MSPD detail row
+   * @param {string} desc - security_class1_desc
+   * @returns {string|null} Class key, or null for rows outside the five marketable classes
+   */
+  static classify(desc) {
+    // "Floating Rate Notes" also reads as notes, so the specific classes are tried first
+    if (/inflation/i.test(desc)) return 'tips';
+    if (/floating/i.test(desc)) return 'frns';
+    if (/bill/i.test(desc)) return 'bills';
+    if (/note/i.test(desc)) return 'notes';
+    if (/bond/i.test(desc)) return 'bonds';
+    return null;
+  }
+
+  /**
+   * Average years to maturity of each marketable class, weighted by amount outstanding
+   * @param {Array} rows - MSPD detail records in dollars for one statement
+   * @param {string} recordDate - Statement date (YYYY-MM-DD)
+   * @returns {Map<string, number>} Class key (and 'marketable' for all of them) to years
+   */
+  static averageMaturities(rows, recordDate) {
+    const start = Date.parse(recordDate);
+    const totals = new Map();
+    const add = (key, amount, years) => {
+      const entry = totals.get(key) || { amount: 0, weighted: 0 };
+      entry.amount += amount;
+      entry.weighted += amount * years;
+      totals.set(key, entry);
+    };
+
+    rows.forEach(row => {
+      const key = DebtComposition.classify(row.security_class1_desc || '');
+      const maturity = Date.parse(row.maturity_date);
+      const amount = row.outstanding_amt;
+      // Subtotal rows carry no maturity date
+      if (!key || !Number.isFinite(maturity) || !Number.isFinite(amount) || amount <= 0) return;
+
+      const years = (maturity - start) / (DebtComposition.DAYS_PER_YEAR * 86400 * 1000);
+      add(key, amount, years);
+      add('marketable', amount, years);
+    });
+
+    return new Map([...totals].map(([key, entry]) => [key, entry.weighted / entry.amount]));
+  }
+
+  /**
+   * Tooltip text for an average maturity
+   * @param {number} years - Average years to maturity
+   * @param {string} [subject] - What the average is of
+   * @returns {string} Text (days under a year)
+   */
+  static describeMaturity(years, subject = '') {
+    const label = subject ? `Average maturity of ${subject}` : 'Average maturity';
+    return years < 1
+      ? `${label}: ${Math.round(years * DebtComposition.DAYS_PER_YEAR)} days`
+      : `${label}: ${years.toFixed(1)} years`;
+  }
+
+  /**
+   * Fetch the statements and render the panel
+   */
+  async init() {
+    if (!this.container) return;
+
+    try {
+      const response = await this.dataManager.fetchSecuritiesOutstanding();
+      const composition = DebtComposition.compose(DataProcessor.toDollars(response, 'mspd', ['total_mil_amt']));
+
+      // Maturities are extra detail; the amounts are shown without them when the detail table fails
+      let maturities = new Map();
+      try {
+        const detail = await this.dataManager.fetchMarketableSecurities(composition.recordDate);
+        maturities = DebtComposition.averageMaturities(
+          DataProcessor.toDollars(detail, 'mspd_market', ['outstanding_amt']),
+          composition.recordDate
+        );
+      } catch (error) {
+        Utils.logError('Debt Composition maturities', error);
+      }
+
+      this.render(composition, maturities);
+    } catch (error) {
+      Utils.logError('Debt Composition', error);
+      this.container.textContent = 'Debt composition unavailable';
+    }
+  }
+
+  /**
+   * Render the composition table
+   * @param {Object} composition - Result of compose()
+   * @param {Map<string, number>} maturities - Result of averageMaturities()
+   */
+  render(composition, maturities) {
+    const escape = Utils.escapeHTML;
+    const percent = share => `${(share * 100).toFixed(1)}%`;
+    const signed = (value, format) => {
+      const text = format(Math.abs(value));
+      // No sign on changes that round to zero
+      return /[1-9]/.test(text) ? `${value < 0 ? '−' : '+'}${text}` : text;
+    };
+    const change = cls => cls.change === null
+      ? '—'
+      : `${signed(cls.change, v => Utils.formatCompactUSD(v))} (${signed(cls.shareChange * 100, v => v.toFixed(2))} pts)`;
+    const tooltip = (key, subject) => maturities.has(key)
+      ? ` title="${escape(DebtComposition.describeMaturity(maturities.get(key), subject))}"`
+      : '';
+
+    const rows = composition.classes.map(cls => `
+        <tr${tooltip(cls.key)}>
+          <th scope="row">${escape(cls.label)}</th>
+          <td>${escape(Utils.formatCompactUSD(cls.amount))}</td>
+          <td>${escape(percent(cls.share))}</td>
+          <td>${escape(change(cls))}</td>
+        </tr>`).join('');
+
+    const since = composition.previousDate ? ` • change since ${composition.previousDate}` : '';
+    this.container.innerHTML = `
+      <table class="composition-table">
+        <caption>WHAT THE DEBT IS MADE OF • Monthly Statement of the Public Debt, ${escape(composition.recordDate)}${escape(since)}</caption>
+        <thead>
+          <tr><th scope="col">Security</th><th scope="col">Amount</th><th scope="col">Share</th><th scope="col">Month-over-month</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot>
+          <tr${tooltip('marketable', 'marketable debt')}>
+            <th scope="row">Total public debt</th>
+            <td>${escape(Utils.formatCompactUSD(composition.total))}</td>
+            <td>100%</td>
+            <td></td>
+          </tr>
+        </tfoot>
+      </table>`;
+  }
+}
+
+// Make DebtComposition globally available
+if (typeof window !== 'undefined') {
+  window.DebtComposition = DebtComposition;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DebtComposition;
+}
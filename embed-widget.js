@@ -0,0 +1,190 @@
+// Standalone single-tile widget served at /embed/:tileId (see embed.html)
+class EmbedWidget {
+  static THEMES = ['light', 'dark'];
+  static SIZES = ['sm', 'md', 'lg'];
+  static REFRESH_INTERVAL = 5 * 60 * 1000; // Treasury datasets publish daily at most
+
+  /**
+   * Read widget options from the page query string
+   * @param {string} search - location.search
+   * @returns {Object} Options: theme, size, locale, showMeta
+   */
+  static parseOptions(search) {
+    const params = new URLSearchParams(search);
+    const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+    let locale = params.get('locale') || 'en-US';
+    try {
+      locale = Intl.NumberFormat.supportedLocalesOf([locale])[0] || 'en-US';
+    } catch (error) {
+      locale = 'en-US'; // Malformed language tag
+    }
+
+    return {
+      theme: pick(params.get('theme'), this.THEMES, 'light'),
+      size: pick(params.get('size'), this.SIZES, 'md'),
+      locale,
+      showMeta: !['0', 'false', 'no'].includes(params.get('meta'))
+    };
+  }
+
+  /**
+   * Tile ID from an /embed/:tileId path
+   * @param {string} pathname - location.pathname
+   * @returns {string|null} Tile ID
+   */
+  static tileIdFromPath(pathname) {
+    const match = /^\/embed\/([\w-]+)\/?$/.exec(pathname);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Create a widget
+   * @param {string} tileId - Tile ID from TileRegistry
+   * @param {Object} options - Options from parseOptions()
+   */
+  constructor(tileId, options) {
+    this.tileId = tileId;
+    this.options = options;
+    this.dataManager = new DataManager();
+    this.definitions = TileRegistry.create(this.dataManager);
+    this.animationLoop = new AnimationLoop();
+    this.state = null;
+    this.lastRendered = '';
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Render the card and start ticking
+   */
+  async init() {
+    const root = document.documentElement;
+    root.classList.add(`theme-${this.options.theme}`, `size-${this.options.size}`);
+    root.lang = this.options.locale;
+    Utils.locale = this.options.locale;
+
+    // The ID comes from the URL; inherited names such as "constructor" are not tiles
+    if (!Object.prototype.hasOwnProperty.call(this.definitions, this.tileId)) {
+      this.showUnknownTile();
+      return;
+    }
+    const definition = this.definitions[this.tileId];
+
+    document.title = `${definition.title} - U.S. National Debt Clock`;
+    this.ui = CardFactory.makeCard({ id: this.tileId, title: definition.title, badge: definition.badge });
+    if (!this.options.showMeta) this.ui.meta.hidden = true;
+
+    await this.refresh();
+
+    this.animationLoop.addCallback(() => this.tick());
+    this.refreshTimer = setInterval(() => this.refresh(), EmbedWidget.REFRESH_INTERVAL);
+    this.reportHeight();
+  }
+
+  /**
+   * Fetch the tile state again and apply it
+   */
+  async refresh() {
+    this.ui.setLoading();
+    try {
+      this.state = await this.loadState();
+      this.ui.clearError();
+      if (this.state.meta) this.ui.meta.textContent = this.state.meta;
+      if (this.options.showMeta) this.ui.setRange(DataProcessor.describeRate(this.state, this.definitions[this.tileId].render));
+    } catch (error) {
+      Utils.logError(`Embed ${this.tileId}`, error);
+      if (!this.state) this.ui.setError(error.message || 'fetch error');
+    } finally {
+      this.ui.clearLoading();
+      this.reportHeight();
+    }
+  }
+
+  /**
+   * Tile state from the server snapshot, or from the tile's own fetchers when no snapshot is available
+   * @returns {Promise<Object>} Tile state
+   */
+  async loadState() {
+    try {
+      const snapshot = await this.dataManager.fetchSnapshot();
+      const entry = snapshot.tiles?.[this.tileId];
+      if (entry && !entry.error && !Utils.isNullish(entry.baseValue)) {
+        return DataProcessor.pickState(entry);
+      }
+    } catch (error) {
+      Utils.logError('Embed snapshot', error);
+    }
+
+    return this.fetchTile(this.tileId);
+  }
+
+  /**
+   * Run a tile fetcher, resolving its dependencies first
+   * @param {string} id - Tile ID
+   * @returns {Promise<Object>} Tile state
+   */
+  async fetchTile(id) {
+    const definition = this.definitions[id];
+    const deps = {};
+    for (const depId of definition.deps || []) {
+      deps[depId] = await this.fetchTile(depId);
+    }
+    return definition.fetcher(deps);
+  }
+
+  /**
+   * Animation frame: redraw the live value when its text changes
+   */
+  tick() {
+    if (!this.state) return;
+
+    const liveValue = DataProcessor.calculateLiveValue(this.state);
+    const renderedText = this.definitions[this.tileId].render(liveValue);
+    if (renderedText !== this.lastRendered) {
+      this.ui.fitNumber.set(renderedText);
+      this.lastRendered = renderedText;
+    }
+  }
+
+  /**
+   * Tell the embedding page (embed.js) how tall the widget is
+   */
+  reportHeight() {
+    if (window.parent === window) return;
+    window.parent.postMessage({
+      type: 'usdebt-embed:resize',
+      tileId: this.tileId,
+      height: document.documentElement.scrollHeight
+    }, '*');
+  }
+
+  /**
+   * Replace the card with a message listing the available tiles
+   */
+  showUnknownTile() {
+    const message = document.createElement('p');
+    message.className = 'embed-message';
+    message.textContent = `Unknown tile "${this.tileId || ''}". Available: ${Object.keys(this.definitions).join(', ')}`;
+    document.getElementById('tilesContainer').appendChild(message);
+    this.reportHeight();
+  }
+
+  /**
+   * Stop timers and the animation loop
+   */
+  destroy() {
+    clearInterval(this.refreshTimer);
+    this.animationLoop.destroy();
+    this.ui?.fitNumber.destroy();
+  }
+}
+
+// Make EmbedWidget globally available
+if (typeof window !== 'undefined') {
+  window.EmbedWidget = EmbedWidget;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbedWidget;
+}
@@ -0,0 +1,71 @@
+// Embed snippet for partner sites:
+//   <script src="https://<dashboard host>/embed.js" data-tile="debt" data-theme="dark" data-size="md" async></script>
+// Replaces itself with an iframe of /embed/:tileId, so the widget's styles and API calls stay on our origin.
+// Pages include this once per widget, so everything is scoped to avoid redeclaring the class.
+(() => {
+  class DebtClockEmbed {
+    static OPTIONS = ['theme', 'size', 'locale', 'meta'];
+    static HEIGHTS = { sm: 120, md: 160, lg: 220 }; // Until the widget reports its real height
+
+    /**
+     * Replace every embed script tag on the page with its widget iframe
+     */
+    static mountAll() {
+      document.querySelectorAll('script[data-tile]').forEach(script => {
+        if (script.src && new URL(script.src, window.location.href).pathname.endsWith('/embed.js')) {
+          this.mount(script);
+        }
+      });
+    }
+
+    /**
+     * Replace one script tag with its widget iframe
+     * @param {HTMLScriptElement} script - Embed script tag
+     * @returns {HTMLIFrameElement} Widget iframe
+     */
+    static mount(script) {
+      const origin = new URL(script.src, window.location.href).origin;
+      const params = new URLSearchParams();
+      this.OPTIONS.forEach(name => {
+        if (script.dataset[name] !== undefined) params.set(name, script.dataset[name]);
+      });
+
+      const iframe = document.createElement('iframe');
+      const query = params.toString();
+      iframe.src = `${origin}/embed/${encodeURIComponent(script.dataset.tile)}${query ? `?${query}` : ''}`;
+      iframe.title = script.dataset.title || 'U.S. National Debt Clock';
+      iframe.loading = 'lazy';
+      iframe.style.cssText = `border:0;width:100%;max-width:${script.dataset.width || '420px'};`
+        + `height:${this.HEIGHTS[script.dataset.size] || this.HEIGHTS.md}px;overflow:hidden;display:block;`;
+      iframe.setAttribute('scrolling', 'no');
+
+      // The widget posts its content height after each render
+      window.addEventListener('message', (event) => {
+        if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+        if (event.data?.type === 'usdebt-embed:resize' && Number.isFinite(event.data.height)) {
+          iframe.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+      });
+
+      script.parentNode.insertBefore(iframe, script);
+      script.dataset.mounted = 'true';
+      script.removeAttribute('data-tile');
+      return iframe;
+    }
+  }
+
+  // Make DebtClockEmbed globally available and mount the widgets on the page
+  if (typeof window !== 'undefined') {
+    window.DebtClockEmbed = window.DebtClockEmbed || DebtClockEmbed;
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => window.DebtClockEmbed.mountAll());
+    } else {
+      window.DebtClockEmbed.mountAll();
+    }
+  }
+
+  // Export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebtClockEmbed;
+  }
+})();
@@ -0,0 +1,151 @@
+// Upstream endpoint registry for the U.S. Fiscal Dashboard
+// Shared by the browser (DataManager), server.js and the Netlify functions.
+// Adding a Fiscal Data dataset here exposes it at /api/<name> in every deployment.
+class EndpointRegistry {
+  static FISCAL_DATA_BASE = 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service';
+
+  /**
+   * Treasury datasets exposed through the proxy
+   * path: dataset path below FISCAL_DATA_BASE
+   * ttl: how long (ms) a cached response is served without asking the Treasury again
+   * unit: scale of the dataset's dollar amounts (a key of UNITS); DataProcessor.toDollars() applies it
+   *   (datasets without dollar amounts have none)
+   * clock: 'business' for datasets published once per federal business day (see business-calendar.js)
+   */
+  static DATASETS = {
+    debt: {
+      title: 'Debt to the Penny',
+      path: '/v2/accounting/od/debt_to_penny',
+      ttl: 10 * 60 * 1000, // Published once per business day
+      unit: 'dollars',
+      clock: 'business'
+    },
+    mts: {
+      title: 'Monthly Treasury Statement',
+      path: '/v1/accounting/mts/mts_table_1',
+      ttl: 60 * 60 * 1000, // Published monthly
+      unit: 'millions',
+      clock: 'calendar'
+    },
+    dts: {
+      title: 'Daily Treasury Statement',
+      path: '/v1/accounting/dts/dts_table_1',
+      ttl: 10 * 60 * 1000, // Published once per business day
+      unit: 'millions',
+      clock: 'business'
+    },
+    interest: {
+      title: 'Average Interest Rates on U.S. Treasury Securities',
+      path: '/v2/accounting/od/avg_interest_rates',
+      ttl: 60 * 60 * 1000, // Published monthly; rates are percentages, not dollar amounts
+      clock: 'calendar'
+    },
+    mspd: {
+      title: 'Monthly Statement of the Public Debt: Summary of Treasury Securities Outstanding',
+      path: '/v1/debt/mspd/mspd_table_1',
+      ttl: 60 * 60 * 1000, // Published monthly
+      unit: 'millions',
+      clock: 'calendar'
+    },
+    mspd_market: {
+      title: 'Monthly Statement of the Public Debt: Detail of Marketable Treasury Securities Outstanding',
+      path: '/v1/debt/mspd/mspd_table_3_market',
+      ttl: 60 * 60 * 1000, // Published monthly; one row per outstanding security
+      unit: 'millions',
+      clock: 'calendar'
+    }
+  };
+
+  // Dollars per reported unit
+  static UNITS = {
+    dollars: 1,
+    thousands: 1e3,
+    millions: 1e6,
+    billions: 1e9
+  };
+
+  // World Bank indicators are proxied too so record/replay covers every tile
+  static WORLD_BANK = {
+    title: 'World Bank',
+    base: 'https://api.worldbank.org/v2/country/US/indicator',
+    route: '/api/worldbank',
+    ttl: 24 * 60 * 60 * 1000 // Annual series
+  };
+
+  /**
+   * List registered dataset names
+   * @returns {string[]} Dataset names
+   */
+  static names() {
+    return Object.keys(this.DATASETS);
+  }
+
+  /**
+   * Get a dataset definition
+   * @param {string} name - Dataset name
+   * @returns {Object|null} Dataset definition
+   */
+  static get(name) {
+    return Object.prototype.hasOwnProperty.call(this.DATASETS, name) ? this.DATASETS[name] : null;
+  }
+
+  /**
+   * Dollars per reported amount of a dataset
+   * @param {string} name - Dataset name
+   * @returns {number} Scale (1e6 for amounts in millions)
+   */
+  static unitScale(name) {
+    const unit = this.get(name)?.unit;
+    if (!Object.prototype.hasOwnProperty.call(this.UNITS, unit)) {
+      throw new Error(`No unit registered for dataset: ${name}`);
+    }
+    return this.UNITS[unit];
+  }
+
+  /**
+   * Proxy route for a dataset
+   * @param {string} name - Dataset name
+   * @returns {string} Route path (e.g. /api/debt)
+   */
+  static route(name) {
+    return `/api/${name}`;
+  }
+
+  /**
+   * Full upstream URL for a dataset
+   * @param {string} name - Dataset name
+   * @returns {string} Upstream URL without query string
+   */
+  static upstreamUrl(name) {
+    return `${this.FISCAL_DATA_BASE}${this.get(name).path}`;
+  }
+
+  /**
+   * Find the dataset served at a proxy route
+   * @param {string} route - Request path (e.g. /api/debt)
+   * @returns {string|null} Dataset name
+   */
+  static nameForRoute(route) {
+    const match = /^\/api\/([\w-]+)$/.exec(route || '');
+    return match && this.get(match[1]) ? match[1] : null;
+  }
+
+  /**
+   * Find the dataset for a Fiscal Data API path
+   * @param {string} apiPath - Path below FISCAL_DATA_BASE (e.g. /v2/accounting/od/debt_to_penny)
+   * @returns {string|null} Dataset name
+   */
+  static nameForPath(apiPath) {
+    return this.names().find(name => this.DATASETS[name].path === apiPath) || null;
+  }
+}
+
+// Make EndpointRegistry globally available
+if (typeof window !== 'undefined') {
+  window.EndpointRegistry = EndpointRegistry;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EndpointRegistry;
+}
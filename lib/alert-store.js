@@ -0,0 +1,84 @@
+// File store for milestone alerts
+// <storeDir>/rules.json  - webhooks and rules, edited by hand and re-read on every evaluation
+// <storeDir>/state.json  - written by the server: baselines, fired milestones, pending deliveries, delivery history
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_LIMIT = 500; // Delivery history entries kept in state.json
+
+/**
+ * Empty alert state
+ * @returns {Object} State with no baselines, fired milestones or deliveries
+ */
+function emptyState() {
+  return { baselines: {}, fired: {}, outbox: [], deliveries: [] };
+}
+
+class AlertStore {
+  /**
+   * Create a store
+   * @param {string} dir - Store directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.rulesFile = path.join(dir, 'rules.json');
+    this.stateFile = path.join(dir, 'state.json');
+  }
+
+  /**
+   * Read a JSON file, returning null when it does not exist
+   * @param {string} file - File path
+   * @returns {Promise<Object|null>} Parsed content
+   */
+  async readJSON(file) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the rules document
+   * @returns {Promise<Object|null>} { webhooks, rules }, or null when no rules file exists
+   */
+  readRules() {
+    return this.readJSON(this.rulesFile);
+  }
+
+  /**
+   * Read the alert state
+   * @returns {Promise<Object>} State (empty on first run)
+   */
+  async readState() {
+    return { ...emptyState(), ...(await this.readJSON(this.stateFile)) };
+  }
+
+  /**
+   * Write the alert state atomically (temp file + rename), trimming the delivery history
+   * @param {Object} state - State to write
+   * @returns {Promise<void>}
+   */
+  async writeState(state) {
+    const content = { ...state, deliveries: state.deliveries.slice(-HISTORY_LIMIT) };
+    const temp = `${this.stateFile}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(content, null, 2));
+    await fs.promises.rename(temp, this.stateFile);
+  }
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  AlertStore
+};
@@ -0,0 +1,407 @@
+// Milestone and threshold alerts delivered to webhooks
+// Evaluates the rules in <alerts.storeDir>/rules.json against freshly fetched debt, cash balance and GDP,
+// and POSTs one JSON payload per crossed milestone to every configured webhook (see lib/alert-store.js).
+//
+// rules.json:
+// {
+//   "webhooks": [{ "url": "https://hooks.example.com/debt", "headers": { "Authorization": "Bearer ..." } }],
+//   "rules": [
+//     { "id": "debt-trillions", "metric": "debt", "crosses": "above", "every": 1e12 },
+//     { "id": "cash-floor", "metric": "cash", "crosses": "below", "levels": [150e9], "repeat": true },
+//     { "id": "debt-gdp", "metric": "debt_gdp", "crosses": "above", "levels": [1.25, 1.3] }
+//   ]
+// }
+
+const EndpointRegistry = require('../endpoints');
+const BusinessCalendar = require('../business-calendar');
+const proxy = require('./proxy');
+const snapshot = require('./snapshot');
+const { postJSON } = require('./webhooks');
+
+const TileRegistry = require('../tiles');
+
+// Alertable metrics: the snapshot tile holding the value, the tiles it is computed from (none may be an
+// estimate), the tile whose record_date it is reported under, and the proxy routes refreshed before evaluating
+const METRICS = {
+  debt: { tile: 'debt', sources: ['debt'], dateTile: 'debt', routes: [EndpointRegistry.route('debt')] },
+  cash: { tile: 'cash', sources: ['cash'], dateTile: 'cash', routes: [EndpointRegistry.route('dts')] },
+  debt_gdp: {
+    tile: 'debt_gdp',
+    sources: ['debt', 'gdp'],
+    dateTile: 'debt',
+    routes: [EndpointRegistry.route('debt'), `${EndpointRegistry.WORLD_BANK.route}/NY.GDP.MKTP.CD`]
+  }
+};
+
+const DIRECTIONS = ['above', 'below'];
+const MAX_LEVELS_PER_CROSSING = 20; // Guards against a tiny "every" step flooding the webhooks
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Tile titles and render functions name and format the values as the dashboard does
+const definitions = TileRegistry.create(null);
+
+/**
+ * Check a rules document and collect the problems
+ * @param {Object} doc - Parsed rules.json
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateRules(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return ['rules file must contain an object with "webhooks" and "rules"'];
+  }
+
+  const problems = [];
+  const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (!Array.isArray(doc.webhooks) || doc.webhooks.length === 0) {
+    problems.push('webhooks must be a non-empty list');
+  } else {
+    doc.webhooks.forEach((webhook, index) => {
+      let protocol = null;
+      try {
+        protocol = new URL(webhook?.url).protocol;
+      } catch (error) {
+        // Reported below
+      }
+      if (!['http:', 'https:'].includes(protocol)) problems.push(`webhooks[${index}].url must be an http(s) URL`);
+      const headers = webhook?.headers;
+      if (headers !== undefined && (typeof headers !== 'object' || Array.isArray(headers)
+        || Object.values(headers).some(value => typeof value !== 'string'))) {
+        problems.push(`webhooks[${index}].headers must map header names to strings`);
+      }
+    });
+  }
+
+  if (!Array.isArray(doc.rules)) {
+    problems.push('rules must be a list');
+    return problems;
+  }
+
+  const ids = new Set();
+  doc.rules.forEach((rule, index) => {
+    const name = `rules[${index}]`;
+    if (typeof rule?.id !== 'string' || !/^[\w-]+$/.test(rule.id)) {
+      problems.push(`${name}.id must be letters, digits, "_" or "-"`);
+    } else if (ids.has(rule.id)) {
+      problems.push(`${name}.id "${rule.id}" is used by another rule`);
+    } else {
+      ids.add(rule.id);
+    }
+
+    if (!METRICS[rule?.metric]) problems.push(`${name}.metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    if (!DIRECTIONS.includes(rule?.crosses)) problems.push(`${name}.crosses must be one of ${DIRECTIONS.join(', ')}`);
+
+    const hasLevels = rule?.levels !== undefined;
+    const hasStep = rule?.every !== undefined;
+    if (hasLevels === hasStep) {
+      problems.push(`${name} needs exactly one of "levels" or "every"`);
+    } else if (hasLevels && (!Array.isArray(rule.levels) || rule.levels.length === 0 || !rule.levels.every(isFiniteNumber))) {
+      problems.push(`${name}.levels must be a non-empty list of numbers`);
+    } else if (hasStep && !(isFiniteNumber(rule.every) && rule.every > 0)) {
+      problems.push(`${name}.every must be a positive number`);
+    }
+
+    if (rule?.repeat !== undefined && typeof rule.repeat !== 'boolean') {
+      problems.push(`${name}.repeat must be true or false`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Levels a rule crossed between two readings, in crossing order
+ * @param {Object} rule - Valid rule
+ * @param {number} previous - Previous value
+ * @param {number} current - Current value
+ * @returns {number[]} Crossed levels
+ */
+function crossedLevels(rule, previous, current) {
+  const above = rule.crosses === 'above';
+  if (above ? !(current > previous) : !(current < previous)) return [];
+
+  let levels;
+  if (rule.levels) {
+    levels = rule.levels
+      .filter(level => (above ? previous < level && level <= current : current <= level && level < previous))
+      .sort((a, b) => (above ? a - b : b - a));
+  } else {
+    // Multiples of the step, rounded so decimal steps (0.05) give clean levels
+    const step = rule.every;
+    const multiple = k => Number((k * step).toPrecision(12));
+    const first = above ? Math.floor(previous / step) + 1 : Math.ceil(previous / step) - 1;
+    const last = above ? Math.floor(current / step) : Math.ceil(current / step);
+    const count = Math.min(MAX_LEVELS_PER_CROSSING, Math.abs(last - first) + 1);
+    const direction = above ? 1 : -1;
+
+    // Only the crossings closest to the current value are kept, without walking the whole range
+    levels = [];
+    for (let k = last - direction * (count - 1); above ? k <= last : k >= last; k += direction) {
+      levels.push(multiple(k));
+    }
+    levels = levels.filter(level => (above
+      ? level > previous && level <= current
+      : level < previous && level >= current));
+  }
+
+  return levels.slice(-MAX_LEVELS_PER_CROSSING);
+}
+
+/**
+ * Current value and record date of every alertable metric the snapshot has real data for
+ * @param {Object} document - Snapshot from snapshot.buildSnapshot()
+ * @returns {Object} Readings keyed by metric: { value, record_date }
+ */
+function readMetrics(document) {
+  const readings = {};
+  Object.entries(METRICS).forEach(([metric, { tile, sources, dateTile }]) => {
+    const value = document.tiles[tile]?.baseValue;
+    if (!Number.isFinite(value) || !sources.every(id => snapshot.isFetched(document.tiles[id]))) return;
+
+    // Base timestamps are the end of the record date in US Eastern time (BusinessCalendar.recordTime)
+    readings[metric] = {
+      value,
+      record_date: BusinessCalendar.easternDate(document.tiles[dateTile].baseTs)
+    };
+  });
+  return readings;
+}
+
+/**
+ * Webhook payload for a crossed milestone
+ * @param {Object} rule - Rule that fired
+ * @param {number} level - Crossed level
+ * @param {Object} reading - Current reading
+ * @param {Object} baseline - Previous reading
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Alert payload
+ */
+function buildAlert(rule, level, reading, baseline, now) {
+  const { title, render } = definitions[METRICS[rule.metric].tile];
+  return {
+    id: `${rule.id}:${level}`,
+    rule: rule.id,
+    metric: rule.metric,
+    title,
+    crosses: rule.crosses,
+    level,
+    value: reading.value,
+    previousValue: baseline.value,
+    record_date: reading.record_date,
+    previous_record_date: baseline.record_date,
+    message: `${title} crossed ${rule.crosses} ${render(level)}: ${render(reading.value)} as of ${reading.record_date}`,
+    triggeredAt: now.toISOString()
+  };
+}
+
+/**
+ * Compare readings with the stored baselines, record fired milestones and queue their deliveries
+ * The first reading of a metric only becomes its baseline, so existing levels never fire at startup.
+ * @param {Object} doc - Valid rules document
+ * @param {Object} readings - Readings from readMetrics()
+ * @param {Object} state - Alert state (updated in place)
+ * @param {Date} now - Evaluation time
+ * @returns {Array<Object>} Alerts fired
+ */
+function evaluateRules(doc, readings, state, now = new Date()) {
+  const alerts = [];
+
+  Object.entries(readings).forEach(([metric, reading]) => {
+    const baseline = state.baselines[metric];
+    if (baseline) {
+      doc.rules.filter(rule => rule.metric === metric).forEach(rule => {
+        crossedLevels(rule, baseline.value, reading.value).forEach(level => {
+          const alert = buildAlert(rule, level, reading, baseline, now);
+          // Each milestone fires once; "repeat" rules fire again on every new crossing
+          if (state.fired[alert.id] && !rule.repeat) return;
+          state.fired[alert.id] = alert.triggeredAt;
+          alerts.push(alert);
+        });
+      });
+    }
+    state.baselines[metric] = reading;
+  });
+
+  alerts.forEach(alert => {
+    doc.webhooks.forEach(({ url }) => {
+      if (state.outbox.some(entry => entry.key === alert.id && entry.url === url)) return;
+      state.outbox.push({ key: alert.id, url, payload: alert, attempts: 0, nextAttemptAt: now.toISOString() });
+    });
+  });
+
+  return alerts;
+}
+
+class AlertManager {
+  /**
+   * Create an alert manager
+   * @param {Object} options - Manager options
+   * @param {AlertStore} options.store - Rules and state store
+   * @param {number} options.interval - Time (ms) between evaluations
+   * @param {number} options.maxAttempts - Delivery attempts per webhook before giving up
+   * @param {number} options.retryDelay - Delay (ms) before the first retry; doubles on every further attempt, up to an hour
+   * @param {number} options.timeout - Time (ms) to wait for a webhook receiver
+   */
+  constructor({ store, interval, maxAttempts, retryDelay, timeout }) {
+    this.store = store;
+    this.interval = interval;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.evaluateTimer = null;
+    this.retryTimer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start evaluating on an interval (no-op when already running)
+   */
+  start() {
+    if (this.evaluateTimer) return;
+
+    this.evaluateTimer = setInterval(() => this.run(() => this.evaluate()), this.interval);
+    this.run(() => this.evaluate());
+  }
+
+  /**
+   * Stop evaluating and retrying
+   */
+  stop() {
+    clearInterval(this.evaluateTimer);
+    clearTimeout(this.retryTimer);
+    this.evaluateTimer = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Run a task after the previous one finished, so state.json has a single writer
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<void>}
+   */
+  run(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error(`⚠️ Alerts: ${error.message}`));
+    return this.queue;
+  }
+
+  /**
+   * Read the rules document, logging why it cannot be used
+   * @returns {Promise<Object|null>} Valid rules document, or null
+   */
+  async loadRules() {
+    const doc = await this.store.readRules();
+    if (!doc) return null;
+
+    const problems = validateRules(doc);
+    if (problems.length > 0) {
+      console.error(`⚠️ Alert rules in ${this.store.rulesFile} are invalid; skipping:\n  - ${problems.join('\n  - ')}`);
+      return null;
+    }
+    return doc;
+  }
+
+  /**
+   * Fetch fresh data, evaluate every rule and deliver what fired
+   * @returns {Promise<Array<Object>>} Alerts fired
+   */
+  async evaluate() {
+    const doc = await this.loadRules();
+    if (!doc) return [];
+
+    // Rules must see the latest published records, not cached responses
+    const metrics = new Set(doc.rules.map(rule => rule.metric));
+    new Set([...metrics].flatMap(metric => METRICS[metric].routes))
+      .forEach(route => proxy.responseCache.invalidate(route));
+
+    const document = await snapshot.buildSnapshot();
+    const state = await this.store.readState();
+    const alerts = evaluateRules(doc, readMetrics(document), state);
+    alerts.forEach(alert => console.log(`🔔 Alert ${alert.id}: ${alert.message}`));
+    await this.store.writeState(state);
+
+    await this.deliver(doc);
+    return alerts;
+  }
+
+  /**
+   * Send every due delivery in the outbox, rescheduling failures with exponential backoff
+   * @param {Object} [doc] - Valid rules document (read from the store when omitted)
+   * @returns {Promise<void>}
+   */
+  async deliver(doc) {
+    const rules = doc || await this.loadRules();
+    const state = await this.store.readState();
+    const now = Date.now();
+
+    for (const entry of [...state.outbox]) {
+      if (Date.parse(entry.nextAttemptAt) > now) continue;
+
+      const finish = (status, details) => {
+        state.outbox = state.outbox.filter(item => item !== entry);
+        state.deliveries.push({
+          key: entry.key,
+          url: entry.url,
+          status,
+          attempts: entry.attempts,
+          at: new Date().toISOString(),
+          ...details
+        });
+      };
+
+      // Headers (which may hold secrets) are read from rules.json at send time rather than kept in the state
+      const webhook = rules?.webhooks.find(item => item.url === entry.url);
+      if (!webhook) {
+        finish('dropped', { error: 'Webhook is no longer configured' });
+        continue;
+      }
+
+      const host = new URL(entry.url).host;
+      entry.attempts++;
+      try {
+        // Receivers can drop repeated deliveries of the same milestone by this key
+        const statusCode = await postJSON(entry.url, entry.payload, {
+          headers: { ...webhook.headers, 'Idempotency-Key': entry.key },
+          timeout: this.timeout
+        });
+        finish('delivered', { statusCode });
+        console.log(`📨 Alert ${entry.key} delivered to ${host}`);
+      } catch (error) {
+        entry.lastError = error.message;
+        if (entry.attempts >= this.maxAttempts) {
+          finish('failed', { error: error.message });
+          console.error(`❌ Alert ${entry.key} to ${host} failed after ${entry.attempts} attempts: ${error.message}`);
+        } else {
+          const delay = Math.min(MAX_RETRY_DELAY, this.retryDelay * 2 ** (entry.attempts - 1));
+          entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+          console.error(`⚠️ Alert ${entry.key} to ${host} failed (attempt ${entry.attempts}/${this.maxAttempts}): ${error.message}`);
+        }
+      }
+    }
+
+    await this.store.writeState(state);
+    this.scheduleRetry(state.outbox);
+  }
+
+  /**
+   * Wake up for the earliest pending retry
+   * @param {Array<Object>} outbox - Pending deliveries
+   */
+  scheduleRetry(outbox) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (outbox.length === 0 || !this.evaluateTimer) return;
+
+    const next = Math.min(...outbox.map(entry => Date.parse(entry.nextAttemptAt)));
+    this.retryTimer = setTimeout(() => this.run(() => this.deliver()), Math.max(0, next - Date.now()));
+  }
+}
+
+module.exports = {
+  METRICS,
+  validateRules,
+  crossedLevels,
+  readMetrics,
+  evaluateRules,
+  AlertManager
+};
@@ -0,0 +1,320 @@
+// Historical data crawler
+// Pages through Debt to the Penny (and optionally the MTS) and maintains data/historical-debt.json
+// and data/summary.json. Later runs only fetch records newer than the last stored record_date.
+
+const path = require('path');
+const fs = require('fs');
+const EndpointRegistry = require('../endpoints');
+const upstream = require('./upstream');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const HISTORY_FILE = path.join(DATA_DIR, 'historical-debt.json');
+const SUMMARY_FILE = path.join(DATA_DIR, 'summary.json');
+
+const PAGE_SIZE = 10000; // Largest page Fiscal Data accepts
+const MTS_UNIT = EndpointRegistry.unitScale('mts');
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Percentage change between two values
+ * @param {number} current - Current value
+ * @param {number} previous - Previous value
+ * @returns {number|null} Change in percent, or null without a previous value
+ */
+function percentChange(current, previous) {
+  return previous ? round2(((current - previous) / previous) * 100) : null;
+}
+
+/**
+ * Format a dollar amount in trillions (e.g. $37.5T)
+ * @param {number} value - Dollar amount
+ * @returns {string} Formatted amount
+ */
+function formatTrillions(value) {
+  return `$${(value / 1e12).toFixed(1)}T`;
+}
+
+/**
+ * Federal fiscal year of a record date (FY runs October through September)
+ * @param {string} recordDate - ISO date (YYYY-MM-DD)
+ * @returns {number} Fiscal year
+ */
+function fiscalYearOf(recordDate) {
+  const [year, month] = recordDate.split('-').map(Number);
+  return month >= 10 ? year + 1 : year;
+}
+
+/**
+ * Fetch every page of a dataset query
+ * @param {string} dataset - Endpoint registry name
+ * @param {Object} params - Query parameters (without paging)
+ * @returns {Promise<Array>} All rows, in API order
+ */
+async function fetchAllPages(dataset, params) {
+  const rows = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const query = new URLSearchParams({ ...params, 'page[size]': PAGE_SIZE, 'page[number]': page }).toString();
+    const response = await upstream.fetchJSON(`${EndpointRegistry.upstreamUrl(dataset)}?${query}`);
+    rows.push(...(response.data || []));
+    totalPages = Number(response.meta?.['total-pages']) || 1;
+    console.log(`📥 ${dataset}: page ${page}/${totalPages} (${rows.length} records)`);
+    page++;
+  } while (page <= totalPages);
+
+  return rows;
+}
+
+/**
+ * Read a JSON file, returning null when it does not exist
+ * @param {string} file - File path
+ * @returns {Object|null} Parsed content
+ */
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so readers never see a partial file
+ * @param {string} file - File path
+ * @param {Object} content - Content to write
+ */
+function writeJSONAtomic(file, content) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(content, null, 2));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Keep the last record of each period, with the change against the previous period
+ * @param {Array} daily - Daily records ({ record_date, debt }) sorted ascending
+ * @param {Function} periodOf - Maps a record_date to its period key
+ * @returns {Array} One record per period
+ */
+function lastPerPeriod(daily, periodOf) {
+  const periods = new Map();
+  daily.forEach(record => periods.set(periodOf(record.record_date), record));
+  return [...periods.entries()].map(([period, record]) => ({ period, ...record }));
+}
+
+/**
+ * Build the yearly, monthly and daily debt series
+ * @param {Array} daily - Daily records ({ record_date, debt }) sorted ascending
+ * @returns {{yearly: Array, monthly: Array, daily: Array}} Series
+ */
+function buildDebtSeries(daily) {
+  const yearly = lastPerPeriod(daily, date => Number(date.slice(0, 4))).map((record, i, all) => {
+    const previous = all[i - 1];
+    return {
+      year: record.period,
+      debt: record.debt,
+      debt_amount: record.debt,
+      record_date: record.record_date,
+      annual_increase: previous ? record.debt - previous.debt : null,
+      percentage_increase: percentChange(record.debt, previous?.debt),
+      formatted_debt: formatTrillions(record.debt)
+    };
+  });
+
+  const monthly = lastPerPeriod(daily, date => date.slice(0, 7)).map((record, i, all) => {
+    const previous = all[i - 1];
+    return {
+      month: record.period,
+      debt: record.debt,
+      record_date: record.record_date,
+      monthly_increase: previous ? record.debt - previous.debt : null,
+      percentage_increase: percentChange(record.debt, previous?.debt)
+    };
+  });
+
+  const dailySeries = daily.map((record, i) => {
+    const previous = daily[i - 1];
+    return {
+      record_date: record.record_date,
+      debt: record.debt,
+      daily_increase: previous ? record.debt - previous.debt : null,
+      percentage_increase: percentChange(record.debt, previous?.debt)
+    };
+  });
+
+  return { yearly, monthly, daily: dailySeries };
+}
+
+/**
+ * Fetch Debt to the Penny records newer than a date
+ * @param {string|null} since - Last stored record_date, or null for a full crawl
+ * @returns {Promise<Array>} Records ({ record_date, debt }) sorted ascending
+ */
+async function fetchDebtRecords(since) {
+  const params = { fields: 'record_date,tot_pub_debt_out_amt', sort: 'record_date', format: 'json' };
+  if (since) params.filter = `record_date:gt:${since}`;
+
+  const rows = await fetchAllPages('debt', params);
+  return rows.map(row => ({
+    record_date: row.record_date,
+    debt: Number(row.tot_pub_debt_out_amt)
+  }));
+}
+
+/**
+ * Fetch MTS year-to-date totals newer than a date
+ * @param {string|null} since - Last stored record_date, or null for a full crawl
+ * @returns {Promise<Array>} Records ({ record_date, fiscal_year, receipts_fytd, outlays_fytd }) sorted ascending
+ */
+async function fetchMtsRecords(since) {
+  const filters = ['record_type_cd:eq:SL', 'classification_desc:eq:Year-to-Date'];
+  if (since) filters.push(`record_date:gt:${since}`);
+
+  const rows = await fetchAllPages('mts', {
+    fields: 'record_date,record_fiscal_year,current_fytd_rcpt_amt,current_fytd_outly_amt',
+    filter: filters.join(','),
+    sort: 'record_date',
+    format: 'json'
+  });
+
+  return rows.map(row => ({
+    record_date: row.record_date,
+    fiscal_year: Number(row.record_fiscal_year) || fiscalYearOf(row.record_date),
+    receipts_fytd: Number(row.current_fytd_rcpt_amt) * MTS_UNIT,
+    outlays_fytd: Number(row.current_fytd_outly_amt) * MTS_UNIT
+  }));
+}
+
+/**
+ * Add monthly receipts/outlays (difference of consecutive FYTD totals) to MTS records
+ * @param {Array} records - MTS records sorted ascending
+ * @returns {Array} Records with monthly values and deficit
+ */
+function buildMtsSeries(records) {
+  return records.map((record, i) => {
+    const previous = records[i - 1];
+    const sameYear = previous && previous.fiscal_year === record.fiscal_year;
+    return {
+      record_date: record.record_date,
+      fiscal_year: record.fiscal_year,
+      receipts_fytd: record.receipts_fytd,
+      outlays_fytd: record.outlays_fytd,
+      deficit_fytd: record.outlays_fytd - record.receipts_fytd,
+      receipts: sameYear ? record.receipts_fytd - previous.receipts_fytd : record.receipts_fytd,
+      outlays: sameYear ? record.outlays_fytd - previous.outlays_fytd : record.outlays_fytd
+    };
+  });
+}
+
+/**
+ * Append new records after the stored ones, dropping any overlap
+ * @param {Array} stored - Stored records sorted ascending
+ * @param {Array} fresh - Newly fetched records sorted ascending
+ * @returns {Array} Merged records
+ */
+function appendRecords(stored, fresh) {
+  const last = stored[stored.length - 1]?.record_date;
+  return stored.concat(last ? fresh.filter(record => record.record_date > last) : fresh);
+}
+
+/**
+ * Build summary.json content
+ * @param {Object} history - historical-debt.json content
+ * @returns {Object} Summary document
+ */
+function buildSummary(history) {
+  const latestYear = history.data[history.data.length - 1];
+  const latestDay = history.daily[history.daily.length - 1];
+  const fiscalYear = fiscalYearOf(latestDay.record_date);
+  const fyStart = history.daily.filter(record => fiscalYearOf(record.record_date) < fiscalYear).pop();
+  const latestMts = history.mts?.[history.mts.length - 1] || null;
+
+  return {
+    last_crawled: history.last_updated,
+    files_created: [path.basename(HISTORY_FILE)],
+    summary: {
+      historical_years: history.data.length,
+      latest_debt: {
+        year: latestYear.year,
+        debt: latestDay.debt,
+        record_date: latestDay.record_date,
+        formatted_debt: formatTrillions(latestDay.debt),
+        annual_increase: latestYear.annual_increase,
+        formatted_increase: latestYear.annual_increase !== null ? formatTrillions(latestYear.annual_increase) : null,
+        percentage_increase: latestYear.percentage_increase !== null ? latestYear.percentage_increase.toFixed(2) : null
+      },
+      current_fiscal_year: {
+        fiscal_year: fiscalYear,
+        start_debt: fyStart?.debt ?? null,
+        fytd_increase: fyStart ? latestDay.debt - fyStart.debt : null
+      },
+      latest_monthly_data: latestMts
+    }
+  };
+}
+
+/**
+ * Crawl (or incrementally update) the historical data files
+ * @param {Object} options - Crawl options
+ * @param {boolean} options.mts - Also crawl MTS receipts and outlays
+ * @param {boolean} options.full - Ignore stored records and crawl everything
+ * @returns {Promise<Object>} historical-debt.json content
+ */
+async function crawl({ mts = false, full = false } = {}) {
+  const stored = full ? null : readJSON(HISTORY_FILE);
+  const storedDaily = (stored?.daily || []).map(({ record_date, debt }) => ({ record_date, debt }));
+  const lastDebtDate = storedDaily[storedDaily.length - 1]?.record_date || null;
+
+  console.log(lastDebtDate
+    ? `🔄 Fetching Debt to the Penny records after ${lastDebtDate}`
+    : '🕸️ No daily history stored - crawling all of Debt to the Penny');
+  const daily = appendRecords(storedDaily, await fetchDebtRecords(lastDebtDate));
+  if (daily.length === 0) throw new Error('Debt to the Penny returned no records');
+
+  let mtsRecords = stored?.mts || null;
+  if (mts) {
+    const storedMts = mtsRecords || [];
+    const lastMtsDate = storedMts[storedMts.length - 1]?.record_date || null;
+    const fresh = await fetchMtsRecords(lastMtsDate);
+    mtsRecords = buildMtsSeries(appendRecords(storedMts, fresh));
+  }
+
+  const series = buildDebtSeries(daily);
+  const history = {
+    last_updated: new Date().toISOString(),
+    data_source: 'Treasury API - Debt to the Penny',
+    records_count: series.yearly.length,
+    data: series.yearly,
+    monthly: series.monthly,
+    daily: series.daily
+  };
+  if (mtsRecords) {
+    history.mts = mtsRecords;
+  }
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  writeJSONAtomic(HISTORY_FILE, history);
+  writeJSONAtomic(SUMMARY_FILE, buildSummary(history));
+
+  const added = daily.length - storedDaily.length;
+  console.log(`✅ ${added} new daily records, ${daily.length} total (latest ${daily[daily.length - 1].record_date})`);
+  return history;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  SUMMARY_FILE,
+  fiscalYearOf,
+  readJSON,
+  crawl
+};
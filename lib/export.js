@@ -0,0 +1,183 @@
+// Data export API
+// /api/export?metric=debt,receipts&from=...&to=...&format=csv|json|xlsx downloads the /api/history series
+// as one row per record date, with values in dollars, the source dataset names and the fetch time.
+
+const history = require('./history');
+const proxy = require('./proxy');
+const { createWorkbook } = require('./xlsx');
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Validate /api/export query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{options: Object|null, error: string|null}} Export options, or a validation error
+ */
+function parseQuery(params) {
+  const format = params.get('format') || 'csv';
+  if (!FORMATS[format]) {
+    return { error: `Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})` };
+  }
+
+  const names = [...new Set((params.get('metric') || 'debt').split(',').map(name => name.trim()).filter(Boolean))];
+  const series = [];
+  for (const name of names) {
+    // Each metric goes through the same validation as /api/history
+    const seriesParams = new URLSearchParams(params);
+    seriesParams.set('metric', name);
+    const { options, error } = history.parseQuery(seriesParams);
+    if (error) return { error };
+    series.push(options);
+  }
+
+  if (series.length === 0) {
+    return { error: `metric must name at least one of ${Object.keys(history.METRICS).join(', ')}` };
+  }
+
+  return { options: { format, series }, error: null };
+}
+
+/**
+ * Join several series on record date
+ * @param {Array} seriesList - Documents from history.getSeries()
+ * @returns {Array<Object>} Rows sorted by date: { record_date, values: {metric: value}, sources: string[], fetchedAt: string[] }
+ */
+function joinSeries(seriesList) {
+  const rows = new Map();
+
+  seriesList.forEach(series => {
+    series.data.forEach(point => {
+      if (!rows.has(point.record_date)) {
+        rows.set(point.record_date, { record_date: point.record_date, values: {}, sources: new Set(), fetchedAt: new Set() });
+      }
+      const row = rows.get(point.record_date);
+      row.values[series.metric] = point.value;
+      row.sources.add(series.dataset);
+      if (series.fetchedAt) row.fetchedAt.add(series.fetchedAt);
+    });
+  });
+
+  return [...rows.values()]
+    .sort((a, b) => a.record_date.localeCompare(b.record_date))
+    .map(row => ({ ...row, sources: [...row.sources], fetchedAt: [...row.fetchedAt].sort() }));
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180), neutralizing spreadsheet formulas
+ * @param {any} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Header and cell values for the export table
+ * @param {Array} seriesList - Documents from history.getSeries()
+ * @param {Array} rows - Rows from joinSeries()
+ * @returns {Array<Array>} Table including the header row
+ */
+function toTable(seriesList, rows) {
+  const metrics = seriesList.map(series => series.metric);
+  const header = ['record_date', ...metrics.map(metric => `${metric}_usd`), 'sources', 'fetched_at'];
+  return [header, ...rows.map(row => [
+    row.record_date,
+    ...metrics.map(metric => (row.values[metric] === undefined ? null : row.values[metric])),
+    row.sources.join('; '),
+    row.fetchedAt.join('; ')
+  ])];
+}
+
+/**
+ * Render the export body in the requested format
+ * @param {string} format - One of FORMATS
+ * @param {Array} seriesList - Documents from history.getSeries()
+ * @returns {string|Buffer} File content
+ */
+function render(format, seriesList) {
+  const rows = joinSeries(seriesList);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      unit: 'USD',
+      metrics: seriesList.map(({ metric, title, dataset, sources, fetchedAt, interval, aggregation, from, to }) => (
+        { metric, title, dataset, sources, fetchedAt, interval, aggregation, from, to }
+      )),
+      rows: rows.map(row => ({
+        record_date: row.record_date,
+        ...row.values,
+        sources: row.sources,
+        fetched_at: row.fetchedAt
+      }))
+    }, null, 2);
+  }
+
+  const table = toTable(seriesList, rows);
+
+  if (format === 'xlsx') {
+    return createWorkbook({ sheetName: 'U.S. Fiscal Data', rows: table });
+  }
+
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${table.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Answer a /api/export request
+ * @param {string} method - HTTP method
+ * @param {string} query - Raw query string
+ * @returns {Promise<{statusCode: number, headers: Object, body: string|Buffer}>}
+ */
+function respond(method, query) {
+  const jsonHeaders = { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders };
+
+  if (method === 'OPTIONS') {
+    return Promise.resolve({ statusCode: 200, headers: proxy.corsHeaders, body: '' });
+  }
+
+  if (method !== 'GET') {
+    return Promise.resolve({ statusCode: 405, headers: jsonHeaders, body: JSON.stringify({ error: 'Method not allowed' }) });
+  }
+
+  const { options, error } = parseQuery(new URLSearchParams(query));
+  if (error) {
+    return Promise.resolve({ statusCode: 400, headers: jsonHeaders, body: JSON.stringify({ error }) });
+  }
+
+  return Promise.all(options.series.map(series => history.getSeries(series)))
+    .then(seriesList => {
+      const { from, to } = options.series[0];
+      const filename = `usdebt-${seriesList.map(series => series.metric).join('-')}-${from}-to-${to}.${options.format}`;
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': FORMATS[options.format],
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          ...proxy.corsHeaders,
+          ...proxy.noCacheHeaders
+        },
+        body: render(options.format, seriesList)
+      };
+    })
+    .catch(err => ({
+      statusCode: 500,
+      headers: jsonHeaders,
+      body: JSON.stringify({ error: 'Export unavailable', details: err.message })
+    }));
+}
+
+module.exports = {
+  ROUTE: '/api/export',
+  FORMATS,
+  joinSeries,
+  render,
+  respond
+};
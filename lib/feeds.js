@@ -0,0 +1,247 @@
+// Atom and JSON Feed of daily debt changes
+// /feed.xml and /feed.json turn each Debt to the Penny record into an entry with the new total, the change
+// since the previous record and the change since the fiscal year began. Records come from the same dataset,
+// field and proxy cache as the debt tile.
+
+const EndpointRegistry = require('../endpoints');
+const Utils = require('../utils');
+const BusinessCalendar = require('../business-calendar');
+const { DataProcessor } = require('../data');
+const proxy = require('./proxy');
+const { ServerDataManager } = require('./snapshot');
+const { fiscalYearOf } = require('./crawler');
+
+const ENTRY_COUNT = 30;
+const DEBT_PATH = EndpointRegistry.get('debt').path;
+const DEBT_FIELD = 'tot_pub_debt_out_amt'; // As read by DataProcessor.processDebtData for the debt tile
+const CACHE_CONTROL = 'public, max-age=600'; // Debt to the Penny publishes once per business day
+
+const FEED_TITLE = 'U.S. National Debt: Daily Changes';
+const FEED_DESCRIPTION = 'Total public debt outstanding from Treasury Debt to the Penny, with day-over-day and fiscal-year-to-date changes.';
+const AUTHOR = 'U.S. National Debt Clock';
+
+/**
+ * Fetch Debt to the Penny records as { record_date, total }, newest first
+ * @param {ServerDataManager} dataManager - Reads through the proxy cache
+ * @param {Object} params - Extra query parameters (filter, page size)
+ * @returns {Promise<Array<{record_date: string, total: number}>>} Records
+ */
+async function fetchRecords(dataManager, params) {
+  const response = await dataManager.fetchFiscalData(DEBT_PATH, {
+    fields: `record_date,${DEBT_FIELD}`,
+    sort: '-record_date',
+    format: 'json',
+    ...params
+  });
+  return DataProcessor.toDollars(response, 'debt', [DEBT_FIELD])
+    .map(row => ({ record_date: row.record_date, total: row[DEBT_FIELD] }));
+}
+
+/**
+ * Build feed entries from the latest records
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function loadEntries() {
+  const dataManager = new ServerDataManager();
+
+  // One extra record gives the oldest entry its day-over-day change
+  const records = await fetchRecords(dataManager, { 'page[size]': ENTRY_COUNT + 1 });
+  if (records.length === 0) throw new Error('No debt data returned');
+
+  // Each fiscal year's change is measured from the last record of the year before (the September 30 close)
+  const fiscalYears = [...new Set(records.slice(0, ENTRY_COUNT).map(record => fiscalYearOf(record.record_date)))];
+  const closes = new Map(await Promise.all(fiscalYears.map(async (year) => {
+    try {
+      const [close] = await fetchRecords(dataManager, {
+        filter: `record_date:lt:${year - 1}-10-01`,
+        'page[size]': 1
+      });
+      return [year, close || null];
+    } catch (error) {
+      console.error(`⚠️ Feed: no FY${year} starting balance: ${error.message}`);
+      return [year, null];
+    }
+  })));
+
+  return records.slice(0, ENTRY_COUNT).map((record, index) => {
+    const previous = records[index + 1] || null;
+    const fiscalYear = fiscalYearOf(record.record_date);
+    const fiscalYearStart = closes.get(fiscalYear);
+    return {
+      ...record,
+      previous,
+      dayChange: previous ? record.total - previous.total : null,
+      fiscalYear,
+      fiscalYearStart,
+      fiscalYearChange: fiscalYearStart ? record.total - fiscalYearStart.total : null
+    };
+  });
+}
+
+/**
+ * Signed currency amount (e.g. +$20,000,000,000)
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatChange(value) {
+  return `${value < 0 ? '-' : '+'}${Utils.formatUSD(Math.abs(value), 0)}`;
+}
+
+/**
+ * Entry timestamp: the end of the record date in US Eastern time, as the debt tile uses it
+ * @param {Object} entry - Feed entry
+ * @returns {string} ISO timestamp
+ */
+function entryTime(entry) {
+  return new Date(BusinessCalendar.recordTime(entry.record_date) * 1000).toISOString();
+}
+
+/**
+ * Entry headline
+ * @param {Object} entry - Feed entry
+ * @returns {string} Title
+ */
+function entryTitle(entry) {
+  const change = entry.dayChange === null ? '' : ` (${entry.dayChange < 0 ? '' : '+'}${Utils.formatCompactUSD(entry.dayChange)})`;
+  return `Debt ${Utils.formatCompactUSD(entry.total)} on ${entry.record_date}${change}`;
+}
+
+/**
+ * Entry body as plain-text lines
+ * @param {Object} entry - Feed entry
+ * @returns {string[]} Lines
+ */
+function entryLines(entry) {
+  const lines = [`Total public debt outstanding on ${entry.record_date}: ${Utils.formatUSD(entry.total, 0)}`];
+  if (entry.previous) {
+    lines.push(`Change since the previous record (${entry.previous.record_date}): ${formatChange(entry.dayChange)}`);
+  }
+  if (entry.fiscalYearStart) {
+    lines.push(`Change since FY${entry.fiscalYear} began (${entry.fiscalYearStart.record_date} close of `
+      + `${Utils.formatUSD(entry.fiscalYearStart.total, 0)}): ${formatChange(entry.fiscalYearChange)}`);
+  }
+  return lines;
+}
+
+/**
+ * Entry body as HTML
+ * @param {Object} entry - Feed entry
+ * @param {string} siteUrl - Absolute dashboard URL without trailing slash
+ * @returns {string} HTML
+ */
+function entryHTML(entry, siteUrl) {
+  const items = entryLines(entry).map(line => `<li>${Utils.escapeHTML(line)}</li>`).join('');
+  return `<ul>${items}</ul><p><a href="${Utils.escapeHTML(`${siteUrl}/`)}">Open the live debt clock</a></p>`;
+}
+
+/**
+ * Render an Atom feed
+ * @param {Array<Object>} entries - Entries from loadEntries()
+ * @param {string} siteUrl - Absolute dashboard URL without trailing slash
+ * @returns {string} Atom XML
+ */
+function renderAtom(entries, siteUrl) {
+  const xml = Utils.escapeHTML;
+  const items = entries.map(entry => `  <entry>
+    <id>${xml(`${siteUrl}/#debt-${entry.record_date}`)}</id>
+    <title>${xml(entryTitle(entry))}</title>
+    <link rel="alternate" type="text/html" href="${xml(`${siteUrl}/`)}"/>
+    <published>${entryTime(entry)}</published>
+    <updated>${entryTime(entry)}</updated>
+    <summary type="text">${xml(entryLines(entry).join('\n'))}</summary>
+    <content type="html">${xml(entryHTML(entry, siteUrl))}</content>
+  </entry>
+`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(`${siteUrl}/feed.xml`)}</id>
+  <title>${xml(FEED_TITLE)}</title>
+  <subtitle>${xml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${xml(`${siteUrl}/feed.xml`)}"/>
+  <link rel="alternate" type="text/html" href="${xml(`${siteUrl}/`)}"/>
+  <updated>${entryTime(entries[0])}</updated>
+  <author><name>${xml(AUTHOR)}</name></author>
+${items}</feed>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Array<Object>} entries - Entries from loadEntries()
+ * @param {string} siteUrl - Absolute dashboard URL without trailing slash
+ * @returns {string} JSON
+ */
+function renderJSONFeed(entries, siteUrl) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: `${siteUrl}/`,
+    feed_url: `${siteUrl}/feed.json`,
+    language: 'en-US',
+    authors: [{ name: AUTHOR }],
+    items: entries.map(entry => ({
+      id: `${siteUrl}/#debt-${entry.record_date}`,
+      url: `${siteUrl}/`,
+      title: entryTitle(entry),
+      content_text: entryLines(entry).join('\n'),
+      content_html: entryHTML(entry, siteUrl),
+      date_published: entryTime(entry),
+      // Extension object (JSON Feed keys starting with "_") with the raw values in dollars
+      _debt: {
+        record_date: entry.record_date,
+        total: entry.total,
+        previous_record_date: entry.previous?.record_date || null,
+        day_change: entry.dayChange,
+        fiscal_year: entry.fiscalYear,
+        fiscal_year_start_date: entry.fiscalYearStart?.record_date || null,
+        fiscal_year_change: entry.fiscalYearChange
+      }
+    }))
+  }, null, 2);
+}
+
+/**
+ * Build a feed handler
+ * @param {string} contentType - Response content type
+ * @param {Function} render - Renders (entries, siteUrl) to the response body
+ * @returns {Function} Handler taking the HTTP method and the absolute site URL
+ */
+function feedRoute(contentType, render) {
+  return (method, siteUrl) => {
+    if (method === 'OPTIONS') {
+      return Promise.resolve({ statusCode: 200, headers: proxy.corsHeaders, body: '' });
+    }
+
+    if (method !== 'GET' && method !== 'HEAD') {
+      return Promise.resolve({
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      });
+    }
+
+    return loadEntries()
+      .then(entries => ({
+        statusCode: 200,
+        headers: { 'Content-Type': contentType, 'Cache-Control': CACHE_CONTROL, ...proxy.corsHeaders },
+        body: render(entries, siteUrl.replace(/\/+$/, ''))
+      }))
+      .catch(error => ({
+        statusCode: 502,
+        headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders },
+        body: JSON.stringify({ error: 'Feed unavailable', details: error.message })
+      }));
+  };
+}
+
+module.exports = {
+  routes: {
+    '/feed.xml': feedRoute('application/atom+xml; charset=utf-8', renderAtom),
+    '/feed.json': feedRoute('application/feed+json; charset=utf-8', renderJSONFeed)
+  },
+  loadEntries,
+  renderAtom,
+  renderJSONFeed
+};
@@ -0,0 +1,103 @@
+// Health, readiness and metrics endpoints for load balancers and monitoring
+
+const EndpointRegistry = require('../endpoints');
+const upstream = require('./upstream');
+const metrics = require('./metrics');
+
+// A Treasury success this recent counts as "upstream reachable" without probing again
+const READY_WINDOW = 5 * 60 * 1000;
+const PROBE_URL = `${EndpointRegistry.upstreamUrl('debt')}?page%5Bsize%5D=1&sort=-record_date`;
+
+const jsonHeaders = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-cache, no-store, must-revalidate'
+};
+
+/**
+ * Whether a Treasury dataset was fetched successfully within the ready window
+ * @param {Object} status - Upstream status from metrics.getUpstreamStatus()
+ * @returns {boolean} True when some dataset succeeded recently
+ */
+function recentTreasurySuccess(status) {
+  return EndpointRegistry.names().some(name => {
+    const lastSuccess = status[name]?.lastSuccess;
+    return lastSuccess && Date.now() - lastSuccess < READY_WINDOW;
+  });
+}
+
+/**
+ * Liveness: the process is up and serving requests
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function respondHealth() {
+  return Promise.resolve({
+    statusCode: 200,
+    headers: jsonHeaders,
+    body: JSON.stringify({
+      status: 'ok',
+      uptime: Math.round((Date.now() - metrics.startedAt) / 1000)
+    })
+  });
+}
+
+/**
+ * Readiness: the Treasury API is reachable (probing it when nothing succeeded recently)
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+async function respondReady() {
+  let ready = upstream.mode === 'replay' || recentTreasurySuccess(metrics.getUpstreamStatus());
+  let probeError = null;
+
+  if (!ready) {
+    try {
+      // Coalesced with any identical in-flight request and recorded in the metrics like any other call
+      await upstream.fetchJSON(PROBE_URL);
+      ready = true;
+    } catch (error) {
+      probeError = error.message;
+    }
+  }
+
+  const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+  const status = metrics.getUpstreamStatus();
+  const endpoints = {};
+  Object.keys(status).forEach(name => {
+    endpoints[name] = {
+      lastSuccess: toIso(status[name].lastSuccess),
+      lastError: toIso(status[name].lastError),
+      lastErrorMessage: status[name].lastErrorMessage
+    };
+  });
+
+  return {
+    statusCode: ready ? 200 : 503,
+    headers: jsonHeaders,
+    body: JSON.stringify({
+      status: ready ? 'ready' : 'unavailable',
+      upstreamMode: upstream.mode,
+      upstream: upstream.stats(),
+      endpoints,
+      ...(probeError ? { error: probeError } : {})
+    })
+  };
+}
+
+/**
+ * Prometheus metrics
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function respondMetrics() {
+  return Promise.resolve({
+    statusCode: 200,
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+    body: metrics.render()
+  });
+}
+
+module.exports = {
+  routes: {
+    '/healthz': respondHealth,
+    '/readyz': respondReady,
+    '/metrics': respondMetrics
+  }
+};
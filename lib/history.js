@@ -0,0 +1,300 @@
+// Historical series API
+// Serves tracked metrics over arbitrary date ranges, resampled to day, week, month, quarter or fiscal year.
+// Backed by the crawled data/historical-debt.json, topped up (or replaced) with records from the proxy cache.
+
+const fs = require('fs');
+const EndpointRegistry = require('../endpoints');
+const proxy = require('./proxy');
+const { HISTORY_FILE, fiscalYearOf, readJSON } = require('./crawler');
+
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'fy'];
+const AGGREGATIONS = ['end', 'avg'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PAGE_SIZE = 10000; // Largest page Fiscal Data accepts
+
+/**
+ * Tracked metrics
+ * crawled: picks [record_date, value] pairs out of historical-debt.json
+ * query: Fiscal Data parameters for records in a date range (filter terms are appended)
+ */
+const METRICS = {
+  debt: {
+    title: 'Total Public Debt Outstanding',
+    dataset: 'debt',
+    crawled: history => (history.daily || []).map(record => [record.record_date, record.debt]),
+    query: { fields: 'record_date,tot_pub_debt_out_amt', filters: [] },
+    value: row => Number(row.tot_pub_debt_out_amt)
+  },
+  receipts: {
+    title: 'Federal Receipts (FYTD)',
+    dataset: 'mts',
+    crawled: history => (history.mts || []).map(record => [record.record_date, record.receipts_fytd]),
+    query: {
+      fields: 'record_date,current_fytd_rcpt_amt',
+      filters: ['record_type_cd:eq:SL', 'classification_desc:eq:Year-to-Date']
+    },
+    value: row => Number(row.current_fytd_rcpt_amt) * EndpointRegistry.unitScale('mts')
+  },
+  outlays: {
+    title: 'Federal Outlays (FYTD)',
+    dataset: 'mts',
+    crawled: history => (history.mts || []).map(record => [record.record_date, record.outlays_fytd]),
+    query: {
+      fields: 'record_date,current_fytd_outly_amt',
+      filters: ['record_type_cd:eq:SL', 'classification_desc:eq:Year-to-Date']
+    },
+    value: row => Number(row.current_fytd_outly_amt) * EndpointRegistry.unitScale('mts')
+  },
+  cash: {
+    title: 'Operating Cash Balance',
+    dataset: 'dts',
+    crawled: () => [],
+    query: {
+      fields: 'record_date,open_today_bal',
+      filters: ['account_type:eq:Treasury General Account', 'table_nm:eq:Table I']
+    },
+    value: row => Number(row.open_today_bal) * EndpointRegistry.unitScale('dts')
+  }
+};
+
+let crawledCache = { mtimeMs: 0, history: null };
+
+/**
+ * Read the crawled history file, re-parsing only when it changed on disk
+ * @returns {Object} historical-debt.json content (empty object when missing)
+ */
+function loadCrawledHistory() {
+  try {
+    const { mtimeMs } = fs.statSync(HISTORY_FILE);
+    if (mtimeMs !== crawledCache.mtimeMs) {
+      crawledCache = { mtimeMs, history: readJSON(HISTORY_FILE) || {} };
+    }
+    return crawledCache.history;
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Period key of a record date
+ * @param {string} recordDate - ISO date (YYYY-MM-DD)
+ * @param {string} interval - One of INTERVALS
+ * @returns {string} Period key
+ */
+function periodOf(recordDate, interval) {
+  const [year, month] = recordDate.split('-').map(Number);
+
+  switch (interval) {
+    case 'week': {
+      // Weeks start on Monday
+      const date = new Date(`${recordDate}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      return date.toISOString().slice(0, 10);
+    }
+    case 'month':
+      return recordDate.slice(0, 7);
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'fy':
+      return `FY${fiscalYearOf(recordDate)}`;
+    default:
+      return recordDate;
+  }
+}
+
+/**
+ * Resample [record_date, value] points into periods
+ * @param {Array} points - Points sorted ascending by date
+ * @param {string} interval - One of INTERVALS
+ * @param {string} aggregation - 'end' (last value in period) or 'avg' (mean of the period)
+ * @returns {Array} One { period, record_date, value, observations } per period
+ */
+function resample(points, interval, aggregation) {
+  const buckets = new Map();
+  points.forEach(([recordDate, value]) => {
+    const key = periodOf(recordDate, interval);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push([recordDate, value]);
+  });
+
+  return [...buckets.entries()].map(([period, bucket]) => {
+    const [lastDate, lastValue] = bucket[bucket.length - 1];
+    const value = aggregation === 'avg'
+      ? bucket.reduce((sum, [, v]) => sum + v, 0) / bucket.length
+      : lastValue;
+    return { period, record_date: lastDate, value, observations: bucket.length };
+  });
+}
+
+/**
+ * Fetch a metric's records in a date range through the proxy cache, following every page
+ * @param {Object} metric - Metric definition
+ * @param {string} from - First date (inclusive)
+ * @param {string|null} after - Only records after this date (exclusive), when later than from
+ * @param {string} to - Last date (inclusive)
+ * @returns {Promise<{points: Array, fetchedAt: number}>} [record_date, value] points sorted ascending, and when the oldest page was fetched upstream (ms)
+ */
+async function fetchPoints(metric, from, after, to) {
+  const filters = [...metric.query.filters, `record_date:lte:${to}`];
+  filters.push(after ? `record_date:gt:${after}` : `record_date:gte:${from}`);
+
+  const route = proxy.resolveRoute(EndpointRegistry.route(metric.dataset));
+  const points = [];
+  let fetchedAt = Date.now();
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const query = new URLSearchParams({
+      fields: metric.query.fields,
+      filter: filters.join(','),
+      sort: 'record_date',
+      'page[size]': PAGE_SIZE,
+      'page[number]': page,
+      format: 'json'
+    }).toString();
+
+    const { data, age } = await proxy.fetchCached(route, query);
+    points.push(...(data.data || []).map(row => [row.record_date, metric.value(row)]));
+    fetchedAt = Math.min(fetchedAt, Date.now() - age);
+    totalPages = Number(data.meta?.['total-pages']) || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return { points, fetchedAt };
+}
+
+/**
+ * Build a resampled series for a metric
+ * @param {Object} options - Series options
+ * @param {string} options.metric - Metric name (see METRICS)
+ * @param {string} options.from - First date (inclusive, YYYY-MM-DD)
+ * @param {string} options.to - Last date (inclusive, YYYY-MM-DD)
+ * @param {string} options.interval - One of INTERVALS
+ * @param {string} options.aggregation - One of AGGREGATIONS
+ * @returns {Promise<Object>} Series document
+ */
+async function getSeries({ metric: name, from, to, interval, aggregation }) {
+  const metric = METRICS[name];
+  const history = loadCrawledHistory();
+  const crawled = metric.crawled(history);
+  const lastCrawled = crawled.length ? crawled[crawled.length - 1][0] : null;
+  const sources = [];
+  let fetchedAt = null;
+
+  let points = crawled.filter(([date]) => date >= from && date <= to);
+  if (points.length) {
+    sources.push('crawled history');
+    fetchedAt = history.last_updated ? Date.parse(history.last_updated) : null;
+  }
+
+  // Anything the crawler has not stored yet comes from the (cached) Treasury API
+  if (!lastCrawled || lastCrawled < to) {
+    const after = lastCrawled && lastCrawled >= from ? lastCrawled : null;
+    try {
+      const result = await fetchPoints(metric, from, after, to);
+      const fetched = result.points.filter(([date]) => date >= from);
+      if (fetched.length) {
+        sources.push(EndpointRegistry.get(metric.dataset).title);
+        fetchedAt = result.fetchedAt;
+      }
+      points = after ? points.concat(fetched) : fetched;
+    } catch (error) {
+      // The crawled part of the window is still worth serving
+      if (!after || points.length === 0) throw error;
+      console.error(`⚠️ History top-up failed for ${name}: ${error.message}`);
+    }
+  }
+
+  const data = resample(points.filter(([, value]) => Number.isFinite(value)), interval, aggregation);
+
+  return {
+    metric: name,
+    title: metric.title,
+    unit: 'USD',
+    interval,
+    aggregation,
+    from,
+    to,
+    sources,
+    dataset: EndpointRegistry.get(metric.dataset).title,
+    fetchedAt: fetchedAt && Number.isFinite(fetchedAt) ? new Date(fetchedAt).toISOString() : null,
+    count: data.length,
+    data
+  };
+}
+
+/**
+ * Validate /api/history query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{options: Object|null, error: string|null}} Series options, or a validation error
+ */
+function parseQuery(params) {
+  const options = {
+    metric: params.get('metric') || 'debt',
+    from: params.get('from') || '1993-01-01',
+    to: params.get('to') || new Date().toISOString().slice(0, 10),
+    interval: params.get('interval') || 'day',
+    aggregation: params.get('agg') || 'end'
+  };
+
+  if (!METRICS[options.metric]) {
+    return { error: `Unknown metric "${options.metric}" (expected ${Object.keys(METRICS).join(', ')})` };
+  }
+  if (!DATE_PATTERN.test(options.from) || !DATE_PATTERN.test(options.to)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (options.from > options.to) {
+    return { error: 'from must not be after to' };
+  }
+  if (!INTERVALS.includes(options.interval)) {
+    return { error: `Unknown interval "${options.interval}" (expected ${INTERVALS.join(', ')})` };
+  }
+  if (!AGGREGATIONS.includes(options.aggregation)) {
+    return { error: `Unknown agg "${options.aggregation}" (expected ${AGGREGATIONS.join(', ')})` };
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * Answer a /api/history request
+ * @param {string} method - HTTP method
+ * @param {string} query - Raw query string
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function respond(method, query) {
+  const headers = { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders };
+
+  if (method === 'OPTIONS') {
+    return Promise.resolve({ statusCode: 200, headers: proxy.corsHeaders, body: '' });
+  }
+
+  if (method !== 'GET') {
+    return Promise.resolve({ statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) });
+  }
+
+  const { options, error } = parseQuery(new URLSearchParams(query));
+  if (error) {
+    return Promise.resolve({ statusCode: 400, headers, body: JSON.stringify({ error }) });
+  }
+
+  return getSeries(options)
+    .then(series => ({ statusCode: 200, headers, body: JSON.stringify(series) }))
+    .catch(err => ({
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'History unavailable', details: err.message })
+    }));
+}
+
+module.exports = {
+  ROUTE: '/api/history',
+  METRICS,
+  INTERVALS,
+  AGGREGATIONS,
+  resample,
+  getSeries,
+  parseQuery,
+  respond
+};
@@ -0,0 +1,162 @@
+// Operational metrics for the proxy server, rendered in the Prometheus text exposition format
+
+const EndpointRegistry = require('../endpoints');
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const requestCounts = new Map(); // "route|status" -> count
+const upstreamLatency = new Map(); // endpoint -> { buckets, sum, count }
+const upstreamOutcomes = new Map(); // "endpoint|outcome" -> count
+const upstreamStatus = new Map(); // endpoint -> { lastSuccess, lastError, lastErrorMessage }
+const cacheLookups = { HIT: 0, MISS: 0, STALE: 0 };
+const startedAt = Date.now();
+
+/**
+ * Increment a counter stored in a Map
+ * @param {Map} map - Counter map
+ * @param {string} key - Counter key
+ */
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Name the upstream endpoint a URL belongs to
+ * @param {string} url - Full upstream URL
+ * @returns {string} Dataset name, "worldbank" or "other"
+ */
+function endpointOf(url) {
+  if (url.startsWith(EndpointRegistry.WORLD_BANK.base)) return 'worldbank';
+  const name = EndpointRegistry.names().find(dataset => url.startsWith(`${EndpointRegistry.upstreamUrl(dataset)}?`));
+  return name || 'other';
+}
+
+/**
+ * Record a finished HTTP request
+ * @param {string} route - Low-cardinality route label (never a raw request path)
+ * @param {number} status - Response status code
+ */
+function recordRequest(route, status) {
+  increment(requestCounts, `${route}|${status}`);
+}
+
+/**
+ * Record a finished upstream call
+ * @param {string} url - Full upstream URL
+ * @param {number} seconds - Call duration
+ * @param {Error|null} error - Failure, if any
+ */
+function recordUpstream(url, seconds, error) {
+  const endpoint = endpointOf(url);
+
+  const latency = upstreamLatency.get(endpoint) || { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) latency.buckets[i]++;
+  });
+  latency.sum += seconds;
+  latency.count++;
+  upstreamLatency.set(endpoint, latency);
+
+  increment(upstreamOutcomes, `${endpoint}|${error ? 'error' : 'success'}`);
+
+  const status = upstreamStatus.get(endpoint) || { lastSuccess: null, lastError: null, lastErrorMessage: null };
+  if (error) {
+    status.lastError = Date.now();
+    status.lastErrorMessage = error.message;
+  } else {
+    status.lastSuccess = Date.now();
+  }
+  upstreamStatus.set(endpoint, status);
+}
+
+/**
+ * Record a proxy cache lookup
+ * @param {string} cacheStatus - HIT, MISS or STALE
+ */
+function recordCacheLookup(cacheStatus) {
+  cacheLookups[cacheStatus] = (cacheLookups[cacheStatus] || 0) + 1;
+}
+
+/**
+ * Last known upstream state per endpoint
+ * @returns {Object} Endpoint name -> { lastSuccess, lastError, lastErrorMessage } (timestamps in ms)
+ */
+function getUpstreamStatus() {
+  return Object.fromEntries(upstreamStatus);
+}
+
+/**
+ * Escape a Prometheus label value
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function label(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+function render() {
+  const lines = [];
+
+  lines.push('# HELP usdebt_http_requests_total HTTP requests handled, by route and status.');
+  lines.push('# TYPE usdebt_http_requests_total counter');
+  requestCounts.forEach((count, key) => {
+    const [route, status] = key.split('|');
+    lines.push(`usdebt_http_requests_total{route="${label(route)}",status="${status}"} ${count}`);
+  });
+
+  lines.push('# HELP usdebt_upstream_request_duration_seconds Upstream API call latency.');
+  lines.push('# TYPE usdebt_upstream_request_duration_seconds histogram');
+  upstreamLatency.forEach((latency, endpoint) => {
+    LATENCY_BUCKETS.forEach((bound, i) => {
+      lines.push(`usdebt_upstream_request_duration_seconds_bucket{endpoint="${label(endpoint)}",le="${bound}"} ${latency.buckets[i]}`);
+    });
+    lines.push(`usdebt_upstream_request_duration_seconds_bucket{endpoint="${label(endpoint)}",le="+Inf"} ${latency.count}`);
+    lines.push(`usdebt_upstream_request_duration_seconds_sum{endpoint="${label(endpoint)}"} ${latency.sum}`);
+    lines.push(`usdebt_upstream_request_duration_seconds_count{endpoint="${label(endpoint)}"} ${latency.count}`);
+  });
+
+  lines.push('# HELP usdebt_upstream_requests_total Upstream API calls, by outcome.');
+  lines.push('# TYPE usdebt_upstream_requests_total counter');
+  upstreamOutcomes.forEach((count, key) => {
+    const [endpoint, outcome] = key.split('|');
+    lines.push(`usdebt_upstream_requests_total{endpoint="${label(endpoint)}",outcome="${outcome}"} ${count}`);
+  });
+
+  lines.push('# HELP usdebt_upstream_last_success_timestamp_seconds Time of the last successful fetch per dataset.');
+  lines.push('# TYPE usdebt_upstream_last_success_timestamp_seconds gauge');
+  upstreamStatus.forEach((status, endpoint) => {
+    if (status.lastSuccess) {
+      lines.push(`usdebt_upstream_last_success_timestamp_seconds{endpoint="${label(endpoint)}"} ${status.lastSuccess / 1000}`);
+    }
+  });
+
+  lines.push('# HELP usdebt_cache_lookups_total Proxy cache lookups, by result.');
+  lines.push('# TYPE usdebt_cache_lookups_total counter');
+  Object.entries(cacheLookups).forEach(([result, count]) => {
+    lines.push(`usdebt_cache_lookups_total{result="${result}"} ${count}`);
+  });
+
+  const lookups = Object.values(cacheLookups).reduce((sum, count) => sum + count, 0);
+  lines.push('# HELP usdebt_cache_hit_ratio Share of cache lookups answered without waiting on upstream (HIT or STALE).');
+  lines.push('# TYPE usdebt_cache_hit_ratio gauge');
+  lines.push(`usdebt_cache_hit_ratio ${lookups ? (cacheLookups.HIT + cacheLookups.STALE) / lookups : 0}`);
+
+  lines.push('# HELP usdebt_process_start_time_seconds Server start time.');
+  lines.push('# TYPE usdebt_process_start_time_seconds gauge');
+  lines.push(`usdebt_process_start_time_seconds ${startedAt / 1000}`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  startedAt,
+  recordRequest,
+  recordUpstream,
+  recordCacheLookup,
+  getUpstreamStatus,
+  render
+};
@@ -0,0 +1,170 @@
+// Open Graph share image
+// /og.png and /og.svg draw the current debt, debt per citizen and debt-to-GDP from the server snapshot,
+// in the dashboard's Tailwind palette. Everything is rendered here: SVG as markup, PNG with lib/raster.js.
+
+const snapshot = require('./snapshot');
+const proxy = require('./proxy');
+const { Raster, GLYPH_HEIGHT } = require('./raster');
+
+const Utils = require('../utils');
+const CONFIG = require('../config');
+const BusinessCalendar = require('../business-calendar');
+const { DataProcessor } = require('../data');
+const TileRegistry = require('../tiles');
+
+const WIDTH = 1200;
+const HEIGHT = 630; // Aspect ratio expected by Open Graph and summary_large_image cards
+const MARGIN = 72;
+const CACHE_CONTROL = 'public, max-age=600'; // Crawlers fetch once per share; the value ticks anyway
+
+const { colors, fontFamily } = CONFIG.tailwind.theme.extend;
+
+// Tile render functions format the values exactly as the dashboard does
+const definitions = TileRegistry.create(null);
+
+/**
+ * Values shown on the share image
+ * @param {Object} document - Snapshot from snapshot.buildSnapshot()
+ * @returns {{debt: string, debtPerCitizen: string, debtToGdp: string, asOf: string|null}} Formatted values
+ */
+function shareValues(document) {
+  const format = (id) => {
+    const tile = document.tiles[id];
+    if (!tile || tile.error) return 'N/A';
+    return definitions[id].render(DataProcessor.calculateLiveValue(tile));
+  };
+
+  // The debt tile's base timestamp is the end of its record_date in US Eastern time (the next day in UTC),
+  // unless the tile fell back to an estimate
+  const debt = document.tiles.debt;
+
+  return {
+    debt: format('debt'),
+    debtPerCitizen: format('debt_per'),
+    debtToGdp: format('debt_gdp'),
+    asOf: snapshot.isFetched(debt) ? BusinessCalendar.easternDate(debt.baseTs) : null
+  };
+}
+
+/**
+ * Footer line naming the as-of date and source
+ * @param {Object} values - Values from shareValues()
+ * @returns {string} Footer text
+ */
+function footerText(values) {
+  return values.asOf
+    ? `As of ${values.asOf} · U.S. Treasury Fiscal Data`
+    : 'Estimate · Treasury data unavailable';
+}
+
+/**
+ * CSS font-family list for an SVG attribute
+ * @param {string[]} families - Tailwind fontFamily entry
+ * @returns {string} Font list using single quotes
+ */
+function fontList(families) {
+  return families.map(family => family.replace(/"/g, "'")).join(', ');
+}
+
+/**
+ * Render the share image as SVG
+ * @param {Object} values - Values from shareValues()
+ * @returns {string} SVG document
+ */
+function renderSVG(values) {
+  const ui = fontList(fontFamily.ui);
+  const mono = fontList(fontFamily.mono);
+  const columnWidth = (WIDTH - MARGIN * 2) / 2;
+  // Monospace digits are about 0.6em wide; shrink long values to stay inside the margins
+  const monoSize = (text, max, width) => Math.min(max, Math.floor(width / (text.length * 0.6)));
+
+  const stat = (label, value, x) => `
+  <text x="${x}" y="370" font-family="${ui}" font-size="30" font-weight="600" fill="${colors.line}" letter-spacing="2">${Utils.escapeHTML(label)}</text>
+  <text x="${x}" y="450" font-family="${mono}" font-size="${monoSize(value, 64, columnWidth - 24)}" font-weight="700" fill="${colors.paper}">${Utils.escapeHTML(value)}</text>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${colors.ink}"/>
+  <rect width="${WIDTH}" height="12" fill="${colors.accent}"/>
+  <text x="${MARGIN}" y="104" font-family="${ui}" font-size="40" font-weight="700" fill="${colors.line}" letter-spacing="3">U.S. NATIONAL DEBT</text>
+  <text x="${MARGIN}" y="230" font-family="${mono}" font-size="${monoSize(values.debt, 96, WIDTH - MARGIN * 2)}" font-weight="700" fill="${colors.paper}">${Utils.escapeHTML(values.debt)}</text>
+  <rect x="${MARGIN}" y="300" width="${WIDTH - MARGIN * 2}" height="2" fill="${colors.subtle}"/>${stat('DEBT PER CITIZEN', values.debtPerCitizen, MARGIN)}${stat('DEBT-TO-GDP', values.debtToGdp, MARGIN + columnWidth)}
+  <text x="${MARGIN}" y="566" font-family="${ui}" font-size="26" fill="${colors.line}">${Utils.escapeHTML(footerText(values))}</text>
+  <rect y="${HEIGHT - 12}" width="${WIDTH}" height="12" fill="${colors.accent2}"/>
+</svg>
+`;
+}
+
+/**
+ * Render the share image as PNG, with the same layout drawn in the built-in bitmap font
+ * @param {Object} values - Values from shareValues()
+ * @returns {Buffer} PNG file
+ */
+function renderPNG(values) {
+  const raster = new Raster(WIDTH, HEIGHT, colors.ink);
+  const columnWidth = (WIDTH - MARGIN * 2) / 2;
+
+  raster.fillRect(0, 0, WIDTH, 12, colors.accent);
+  raster.drawText('U.S. NATIONAL DEBT', MARGIN, 68, { scale: 5, color: colors.line });
+
+  const debtScale = Raster.fitScale(values.debt, WIDTH - MARGIN * 2, 12);
+  raster.drawText(values.debt, MARGIN, 230 - GLYPH_HEIGHT * debtScale, { scale: debtScale, color: colors.paper });
+
+  raster.fillRect(MARGIN, 300, WIDTH - MARGIN * 2, 2, colors.subtle);
+
+  [['DEBT PER CITIZEN', values.debtPerCitizen], ['DEBT-TO-GDP', values.debtToGdp]].forEach(([label, value], index) => {
+    const x = MARGIN + index * columnWidth;
+    raster.drawText(label, x, 342, { scale: 4, color: colors.line });
+    const scale = Raster.fitScale(value, columnWidth - 24, 9);
+    raster.drawText(value, x, 450 - GLYPH_HEIGHT * scale, { scale, color: colors.paper });
+  });
+
+  raster.drawText(footerText(values), MARGIN, 545, { scale: 3, color: colors.line });
+  raster.fillRect(0, HEIGHT - 12, WIDTH, 12, colors.accent2);
+
+  return raster.toPNG();
+}
+
+/**
+ * Build a share image handler
+ * @param {string} contentType - Response content type
+ * @param {Function} render - Renders values from shareValues() to the response body
+ * @returns {Function} Handler taking the HTTP method
+ */
+function imageRoute(contentType, render) {
+  return (method) => {
+    if (method === 'OPTIONS') {
+      return Promise.resolve({ statusCode: 200, headers: proxy.corsHeaders, body: '' });
+    }
+
+    if (method !== 'GET' && method !== 'HEAD') {
+      return Promise.resolve({
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders },
+        body: JSON.stringify({ error: 'Method not allowed' })
+      });
+    }
+
+    return snapshot.buildSnapshot()
+      .then(document => ({
+        statusCode: 200,
+        headers: { 'Content-Type': contentType, 'Cache-Control': CACHE_CONTROL, ...proxy.corsHeaders },
+        body: render(shareValues(document))
+      }))
+      .catch(error => ({
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders },
+        body: JSON.stringify({ error: 'Share image unavailable', details: error.message })
+      }));
+  };
+}
+
+module.exports = {
+  routes: {
+    '/og.png': imageRoute('image/png', renderPNG),
+    '/og.svg': imageRoute('image/svg+xml; charset=utf-8', renderSVG)
+  },
+  shareValues,
+  renderSVG,
+  renderPNG
+};
@@ -0,0 +1,216 @@
+// Full-dataset pagination for the Treasury proxy
+// /api/<dataset>?...&all=true follows meta.total-pages upstream and returns one merged `data` array.
+// Pages are fetched one at a time and written out as they arrive, so only a single page is ever held in memory.
+
+const { once } = require('events');
+const ResponseCache = require('./response-cache');
+const upstream = require('./upstream');
+const proxy = require('./proxy');
+const { settings } = require('./settings');
+
+const ALL_PAGES_PARAM = 'all';
+const PAGE_SIZE = 10000; // Largest page Fiscal Data accepts
+
+/**
+ * Whether a request opted in to full pagination
+ * @param {string} query - Raw query string
+ * @returns {boolean} True for all=true (or all=1)
+ */
+function wantsAllPages(query) {
+  const value = new URLSearchParams(query || '').get(ALL_PAGES_PARAM);
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Upstream query for one page, with the caller's paging and the opt-in flag removed
+ * @param {string} query - Raw query string
+ * @param {number} page - Page number (1-based)
+ * @returns {string} Query string
+ */
+function pageQuery(query, page) {
+  const params = new URLSearchParams(ResponseCache.normalizeQuery(query));
+  [ALL_PAGES_PARAM, 'page[size]', 'page[number]'].forEach(name => params.delete(name));
+  params.set('page[size]', PAGE_SIZE);
+  params.set('page[number]', page);
+  return params.toString();
+}
+
+/**
+ * Fetch every page of a route in order
+ * @param {Object} route - Route from proxy.resolveRoute()
+ * @param {string} query - Raw query string
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onFirstPage - Receives the first response; return false to stop before any rows are emitted
+ * @param {Function} handlers.onRows - Receives each page's rows; may return a promise (backpressure)
+ * @param {Function} [handlers.isAborted] - Returns true once the caller no longer wants rows
+ * @returns {Promise<{rows: number, pages: number, totalPages: number, totalCount: number}>} Summary
+ */
+async function fetchAllPages(route, query, { onFirstPage, onRows, isAborted = () => false }) {
+  let page = 1;
+  let rows = 0;
+  let totalPages = 1;
+  let totalCount = 0;
+
+  do {
+    const response = await upstream.fetchJSON(`${route.url}?${pageQuery(query, page)}`, { timeout: route.timeout });
+
+    if (page === 1) {
+      totalPages = Number(response.meta?.['total-pages']) || 1;
+      totalCount = Number(response.meta?.['total-count']) || (response.data || []).length;
+      if (onFirstPage(response, totalCount) === false) break;
+    }
+
+    // The cap is enforced again per page in case the dataset grew while we were paging
+    const data = (response.data || []).slice(0, settings.pagination.maxRows - rows);
+    rows += data.length;
+    await onRows(data);
+    page++;
+  } while (page <= totalPages && rows < settings.pagination.maxRows && !isAborted());
+
+  return { rows, pages: page - 1, totalPages, totalCount };
+}
+
+/**
+ * Body of the 413 response for queries over the row cap
+ * @param {number} totalCount - Rows the query matches upstream
+ * @returns {string} JSON body
+ */
+function tooManyRowsBody(totalCount) {
+  return JSON.stringify({
+    error: 'Too many rows',
+    details: `Query matches ${totalCount} rows; full pagination is capped at ${settings.pagination.maxRows}. Narrow it with filter=record_date:gte:YYYY-MM-DD.`
+  });
+}
+
+/**
+ * Closing part of a merged response
+ * @param {Object} summary - Result of fetchAllPages()
+ * @param {string|null} error - Error message when paging stopped early
+ * @returns {string} JSON fragment that closes the document
+ */
+function trailer(summary, error) {
+  const meta = {
+    count: summary.rows,
+    'total-count': summary.totalCount,
+    'total-pages': summary.totalPages,
+    'pages-fetched': summary.pages,
+    complete: !error && summary.rows >= Math.min(summary.totalCount, settings.pagination.maxRows)
+  };
+  return `],"meta":${JSON.stringify(meta)}${error ? `,"error":${JSON.stringify(error)}` : ''}}`;
+}
+
+/**
+ * Resolve a request path to a route that supports full pagination
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Exposed Treasury route, or null
+ */
+function pageableRoute(pathname) {
+  const route = proxy.resolveRoute(pathname);
+  return route && route.exposed && route.label === 'Treasury API' ? route : null;
+}
+
+/**
+ * Stream a fully paginated response straight to an HTTP response (server.js)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ * @param {string} query - Raw query string
+ * @returns {boolean} False when the path does not support full pagination
+ */
+function stream(req, res, pathname, query) {
+  const route = pageableRoute(pathname);
+  if (!route) return false;
+
+  const headers = { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders };
+  let aborted = false;
+  let first = true;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  const write = async (chunk) => {
+    if (!aborted && !res.write(chunk)) await once(res, 'drain');
+  };
+
+  const summary = { rows: 0, pages: 0, totalPages: 0, totalCount: 0 };
+  fetchAllPages(route, query, {
+    isAborted: () => aborted,
+    onFirstPage: (response, totalCount) => {
+      if (totalCount > settings.pagination.maxRows) {
+        res.writeHead(413, headers);
+        res.end(tooManyRowsBody(totalCount));
+        return false;
+      }
+      res.writeHead(200, headers);
+      res.write('{"data":[');
+      return true;
+    },
+    onRows: async (rows) => {
+      summary.rows += rows.length;
+      for (const row of rows) {
+        await write(`${first ? '' : ','}${JSON.stringify(row)}`);
+        first = false;
+      }
+    }
+  })
+    .then(result => {
+      if (res.headersSent && !res.writableEnded) res.end(trailer(result, null));
+    })
+    .catch(error => {
+      console.error(`❌ Full pagination of ${pathname} failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, headers);
+        res.end(JSON.stringify({ error: `${route.label} unavailable`, details: error.message }));
+      } else if (!res.writableEnded) {
+        // Keep the document valid; meta.complete tells the client it is partial
+        res.end(trailer(summary, error.message));
+      }
+    });
+
+  return true;
+}
+
+/**
+ * Answer a fully paginated request with a buffered body (Netlify functions cannot stream)
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {string} query - Raw query string
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>|null} Response, or null when the path does not support full pagination
+ */
+function respond(method, pathname, query) {
+  const route = pageableRoute(pathname);
+  if (!route || method !== 'GET') return null;
+
+  const headers = { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders };
+  const chunks = [];
+  let tooMany = null;
+
+  return fetchAllPages(route, query, {
+    onFirstPage: (response, totalCount) => {
+      if (totalCount > settings.pagination.maxRows) {
+        tooMany = totalCount;
+        return false;
+      }
+      return true;
+    },
+    onRows: (rows) => {
+      rows.forEach(row => chunks.push(JSON.stringify(row)));
+    }
+  })
+    .then(summary => (tooMany !== null
+      ? { statusCode: 413, headers, body: tooManyRowsBody(tooMany) }
+      : { statusCode: 200, headers, body: `{"data":[${chunks.join(',')}${trailer(summary, null)}` }))
+    .catch(error => ({
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: `${route.label} unavailable`, details: error.message })
+    }));
+}
+
+module.exports = {
+  ALL_PAGES_PARAM,
+  wantsAllPages,
+  fetchAllPages,
+  stream,
+  respond
+};
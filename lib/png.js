@@ -0,0 +1,55 @@
+// Minimal PNG encoder for server-rendered images (8-bit truecolor, no interlacing)
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Build one PNG chunk: length, type, data and the CRC of type + data
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGB pixels as a PNG file
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} pixels - width * height * 3 bytes, rows top to bottom
+ * @returns {Buffer} PNG file
+ */
+function encodePNG(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Color type: truecolor
+  // Compression, filter and interlace methods stay 0
+
+  // Every scanline starts with its filter type (0: none)
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  encodePNG
+};
@@ -0,0 +1,167 @@
+// Proxy core shared by server.js and the Netlify functions
+// Resolves /api/* routes against the endpoint registry and answers them through the response cache
+
+const EndpointRegistry = require('../endpoints');
+const ResponseCache = require('./response-cache');
+const upstream = require('./upstream');
+const metrics = require('./metrics');
+const { settings } = require('./settings');
+
+// CORS headers for all responses; Access-Control-Allow-Origin is added per request (see allowedOrigin)
+const corsHeaders = {
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Cache, Age, Content-Disposition'
+};
+
+// Caching headers for responses that must never be stored by browsers
+const noCacheHeaders = {
+  'Cache-Control': 'no-cache, no-store, must-revalidate',
+  'Pragma': 'no-cache',
+  'Expires': '0'
+};
+
+const WORLD_BANK_ROUTE = new RegExp(`^${EndpointRegistry.WORLD_BANK.route}/([A-Za-z0-9.]+)$`);
+
+const responseCache = new ResponseCache();
+
+/**
+ * Decide which origin may read a response, following the corsOrigins allowlist
+ * @param {string} [origin] - Origin request header
+ * @returns {string|null} Access-Control-Allow-Origin value, or null to send none
+ */
+function allowedOrigin(origin) {
+  if (settings.corsOrigins.includes('*')) return '*';
+  return origin && settings.corsOrigins.includes(origin) ? origin : null;
+}
+
+/**
+ * Whether a browser request comes from a page the server does not trust
+ * @param {string} [origin] - Origin request header
+ * @param {string} [host] - Host request header
+ * @returns {boolean} True for cross-origin requests from origins outside the allowlist
+ */
+function isForeignOrigin(origin, host) {
+  if (!origin || allowedOrigin(origin)) return false;
+  try {
+    return new URL(origin).host !== host;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Resolve a request path to its upstream
+ * Unexposed datasets still resolve so the snapshot and history APIs can use them internally.
+ * @param {string} pathname - Request path (e.g. /api/debt)
+ * @returns {{path: string, url: string, ttl: number, timeout: number, exposed: boolean, label: string}|null} Route or null
+ */
+function resolveRoute(pathname) {
+  const name = EndpointRegistry.nameForRoute(pathname);
+  if (name) {
+    return {
+      path: pathname,
+      url: EndpointRegistry.upstreamUrl(name),
+      ...settings.endpoints[name],
+      label: 'Treasury API'
+    };
+  }
+
+  const worldBankMatch = WORLD_BANK_ROUTE.exec(pathname || '');
+  if (worldBankMatch) {
+    return {
+      path: pathname,
+      url: `${EndpointRegistry.WORLD_BANK.base}/${worldBankMatch[1]}`,
+      ...settings.endpoints.worldbank,
+      label: 'World Bank API'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a route through the cache, revalidating stale entries in the background
+ * @param {Object} route - Route from resolveRoute()
+ * @param {string} query - Raw query string
+ * @returns {Promise<{data: any, cacheStatus: string, age: number, ttl: number}>}
+ */
+function fetchCached(route, query) {
+  const cacheKey = ResponseCache.key(route.path, query);
+  const upstreamQuery = ResponseCache.normalizeQuery(query);
+  const refresh = () => responseCache.revalidate(
+    cacheKey, route.ttl, () => upstream.fetchJSON(`${route.url}?${upstreamQuery}`, { timeout: route.timeout })
+  );
+
+  const cached = responseCache.lookup(cacheKey);
+
+  if (cached?.status === 'fresh') {
+    metrics.recordCacheLookup('HIT');
+    return Promise.resolve({ ...cached, cacheStatus: 'HIT' });
+  }
+
+  if (cached) {
+    // Serve the last good response now; a failed refresh keeps it in place
+    metrics.recordCacheLookup('STALE');
+    refresh().catch(error => {
+      console.error(`⚠️ Background refresh failed for ${cacheKey}: ${error.message}`);
+    });
+    return Promise.resolve({ ...cached, cacheStatus: 'STALE' });
+  }
+
+  metrics.recordCacheLookup('MISS');
+  return refresh().then(data => ({ data, cacheStatus: 'MISS', age: 0, ttl: route.ttl }));
+}
+
+/**
+ * Answer a proxy request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {string} query - Raw query string
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>|null} Response, or null when the path is not an exposed proxy route
+ */
+function respond(method, pathname, query) {
+  const route = resolveRoute(pathname);
+  if (!route || !route.exposed) return null;
+
+  if (method === 'OPTIONS') {
+    return Promise.resolve({ statusCode: 200, headers: corsHeaders, body: '' });
+  }
+
+  if (method !== 'GET') {
+    return Promise.resolve({
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    });
+  }
+
+  return fetchCached(route, query)
+    .then(({ data, cacheStatus, age, ttl }) => ({
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${Math.max(0, Math.floor((ttl - age) / 1000))}`,
+        'Age': String(Math.floor(age / 1000)),
+        'X-Cache': cacheStatus,
+        ...corsHeaders
+      },
+      body: JSON.stringify(data)
+    }))
+    .catch(error => ({
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders, ...noCacheHeaders },
+      body: JSON.stringify({ error: `${route.label} unavailable`, details: error.message })
+    }));
+}
+
+module.exports = {
+  corsHeaders,
+  noCacheHeaders,
+  responseCache,
+  allowedOrigin,
+  isForeignOrigin,
+  resolveRoute,
+  fetchCached,
+  respond
+};
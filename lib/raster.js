@@ -0,0 +1,180 @@
+// RGB raster with filled rectangles and a built-in 5x7 bitmap font
+// Enough to draw the share image (lib/og.js) without a browser, canvas library or font files.
+
+const { encodePNG } = require('./png');
+
+const GLYPH_HEIGHT = 7;
+
+// Each glyph is a list of rows; '#' is a set pixel. Glyphs may be narrower than 5 columns.
+// Text is drawn upper-case; characters without a glyph are drawn as '?'.
+const FONT = {
+  ' ': ['...', '...', '...', '...', '...', '...', '...'],
+  '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  '$': ['..#..', '.####', '#.#..', '.###.', '..#.#', '####.', '..#..'],
+  '%': ['##...', '##..#', '...#.', '..#..', '.#...', '#..##', '...##'],
+  ',': ['..', '..', '..', '..', '.#', '.#', '#.'],
+  '.': ['..', '..', '..', '..', '..', '##', '##'],
+  ':': ['.', '#', '.', '.', '.', '#', '.'],
+  '-': ['....', '....', '....', '####', '....', '....', '....'],
+  '/': ['.....', '....#', '...#.', '..#..', '.#...', '#....', '.....'],
+  '·': ['..', '..', '..', '##', '..', '..', '..'],
+  '(': ['..#', '.#.', '#..', '#..', '#..', '.#.', '..#'],
+  ')': ['#..', '.#.', '..#', '..#', '..#', '.#.', '#..'],
+  '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+  'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  'D': ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+  'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+  'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  'I': ['###', '.#.', '.#.', '.#.', '.#.', '.#.', '###'],
+  'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+  'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+  'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####']
+};
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} hex - CSS hex color
+ * @returns {number[]} [r, g, b]
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+class Raster {
+  /**
+   * Create a raster filled with one color
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {string} background - #rrggbb fill color
+   */
+  constructor(width, height, background = '#ffffff') {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  /**
+   * Fill a rectangle, clipped to the raster
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {string} color - #rrggbb fill color
+   */
+  fillRect(x, y, width, height, color) {
+    const [r, g, b] = parseColor(color);
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(this.width, Math.round(x + width));
+    const bottom = Math.min(this.height, Math.round(y + height));
+
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        const offset = (row * this.width + column) * 3;
+        this.pixels[offset] = r;
+        this.pixels[offset + 1] = g;
+        this.pixels[offset + 2] = b;
+      }
+    }
+  }
+
+  /**
+   * Glyph rows for a character
+   * @param {string} char - Character
+   * @returns {string[]} Glyph rows
+   */
+  static glyph(char) {
+    return FONT[char.toUpperCase()] || FONT['?'];
+  }
+
+  /**
+   * Width of a line of text
+   * @param {string} text - Text
+   * @param {number} scale - Pixels per font pixel
+   * @returns {number} Width in pixels, without trailing spacing
+   */
+  static textWidth(text, scale = 1) {
+    const columns = [...text].reduce((sum, char) => sum + Raster.glyph(char)[0].length + 1, 0);
+    return Math.max(0, columns - 1) * scale;
+  }
+
+  /**
+   * Largest whole scale at which text fits a width
+   * @param {string} text - Text
+   * @param {number} maxWidth - Available width in pixels
+   * @param {number} maxScale - Upper bound
+   * @returns {number} Scale (at least 1)
+   */
+  static fitScale(text, maxWidth, maxScale) {
+    let scale = maxScale;
+    while (scale > 1 && Raster.textWidth(text, scale) > maxWidth) scale--;
+    return scale;
+  }
+
+  /**
+   * Draw a line of text with its top-left corner at (x, y)
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {Object} options - scale (pixels per font pixel) and color (#rrggbb)
+   * @returns {number} Width drawn in pixels
+   */
+  drawText(text, x, y, { scale = 1, color = '#000000' } = {}) {
+    let cursor = x;
+    for (const char of text) {
+      const rows = Raster.glyph(char);
+      rows.forEach((row, rowIndex) => {
+        for (let column = 0; column < row.length; column++) {
+          if (row[column] === '#') {
+            this.fillRect(cursor + column * scale, y + rowIndex * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += (rows[0].length + 1) * scale;
+    }
+    return Raster.textWidth(text, scale);
+  }
+
+  /**
+   * Encode the raster as PNG
+   * @returns {Buffer} PNG file
+   */
+  toPNG() {
+    return encodePNG(this.width, this.height, this.pixels);
+  }
+}
+
+module.exports = {
+  GLYPH_HEIGHT,
+  FONT,
+  Raster
+};
@@ -0,0 +1,67 @@
+// Per-client token bucket rate limiter for the proxy's API routes
+
+class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {Object} options - Limiter options
+   * @param {number} options.capacity - Burst size (tokens in a full bucket)
+   * @param {number} options.refillPerSecond - Tokens added back per second
+   */
+  constructor({ capacity = 60, refillPerSecond = 1 } = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.buckets = new Map();
+
+    // Forget clients whose bucket has refilled completely
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Take one token for a client
+   * @param {string} clientId - Client identifier (IP address)
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}} Decision; retryAfter in seconds
+   */
+  take(clientId) {
+    const now = Date.now();
+    const bucket = this.buckets.get(clientId) || { tokens: this.capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(
+      this.capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.refillPerSecond
+    );
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - bucket.tokens) / this.refillPerSecond)
+      };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  /**
+   * Drop buckets that are full again
+   */
+  sweep() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, clientId) => {
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.refillPerSecond;
+      if (tokens >= this.capacity) this.buckets.delete(clientId);
+    });
+  }
+
+  /**
+   * Stop the background sweep
+   */
+  destroy() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = RateLimiter;
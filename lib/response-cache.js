@@ -0,0 +1,125 @@
+// Response cache for the Treasury proxy
+// Keyed by endpoint + normalized query string, with stale-while-revalidate semantics
+
+// Query parameters that only exist to defeat caches and never change the upstream answer
+const IGNORED_PARAMS = new Set(['cacheBust', '_']);
+
+class ResponseCache {
+  /**
+   * Create a response cache
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of entries kept in memory
+   * @param {number} options.maxStale - How long (ms) an expired entry may still be served
+   */
+  constructor({ maxEntries = 500, maxStale = 7 * 24 * 60 * 60 * 1000 } = {}) {
+    this.entries = new Map();
+    this.revalidating = new Map();
+    this.maxEntries = maxEntries;
+    this.maxStale = maxStale;
+  }
+
+  /**
+   * Normalize a query string so equivalent requests share a cache entry
+   * @param {string} query - Raw query string (without leading '?')
+   * @returns {string} Query string with sorted keys and cache busters removed
+   */
+  static normalizeQuery(query) {
+    const params = [...new URLSearchParams(query || '')]
+      .filter(([name]) => !IGNORED_PARAMS.has(name))
+      .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)));
+    return new URLSearchParams(params).toString();
+  }
+
+  /**
+   * Build the cache key for an endpoint request
+   * @param {string} endpoint - Endpoint path (e.g. /api/debt)
+   * @param {string} query - Raw query string
+   * @returns {string} Cache key
+   */
+  static key(endpoint, query) {
+    return `${endpoint}?${this.normalizeQuery(query)}`;
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} key - Cache key
+   * @returns {{data: any, status: string, age: number, ttl: number}|null} 'fresh' or 'stale' entry, or null
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const age = Date.now() - entry.storedAt;
+    if (age > entry.ttl + this.maxStale) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return {
+      data: entry.data,
+      status: age <= entry.ttl ? 'fresh' : 'stale',
+      age,
+      ttl: entry.ttl
+    };
+  }
+
+  /**
+   * Store a successful upstream response
+   * @param {string} key - Cache key
+   * @param {any} data - Response payload
+   * @param {number} ttl - Time (ms) the entry counts as fresh
+   */
+  set(key, data, ttl) {
+    // Re-insert so Map iteration order doubles as least-recently-stored order
+    this.entries.delete(key);
+    this.entries.set(key, { data, ttl, storedAt: Date.now() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Refresh an entry, sharing one upstream call between concurrent callers
+   * @param {string} key - Cache key
+   * @param {number} ttl - Freshness lifetime (ms) for the refreshed entry
+   * @param {Function} fetcher - Returns a promise for fresh data
+   * @returns {Promise<any>} Fresh data
+   */
+  revalidate(key, ttl, fetcher) {
+    if (this.revalidating.has(key)) {
+      return this.revalidating.get(key);
+    }
+
+    const pending = Promise.resolve()
+      .then(fetcher)
+      .then(data => {
+        this.set(key, data, ttl);
+        return data;
+      })
+      .finally(() => this.revalidating.delete(key));
+
+    this.revalidating.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Drop every entry for an endpoint so the next request goes upstream
+   * @param {string} endpoint - Endpoint path (e.g. /api/debt)
+   */
+  invalidate(endpoint) {
+    const prefix = `${endpoint}?`;
+    [...this.entries.keys()]
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.entries.delete(key));
+  }
+
+  /**
+   * Clear all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = ResponseCache;
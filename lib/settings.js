@@ -0,0 +1,291 @@
+// Server settings: defaults, then server.config.json (or SERVER_CONFIG), then environment variables
+// Everything is validated when this module is first required, so a bad setting stops the server at startup.
+
+const fs = require('fs');
+const path = require('path');
+const EndpointRegistry = require('../endpoints');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT, 'server.config.json');
+
+// Every dataset the proxy can serve: the Treasury registry plus the World Bank indicators
+const ENDPOINT_NAMES = [...EndpointRegistry.names(), 'worldbank'];
+
+const DEFAULTS = {
+  host: '0.0.0.0',
+  port: 8000,
+  // Browser origins allowed to call /api/* cross-origin; the dashboard itself is same-origin and needs none
+  corsOrigins: [],
+  trustProxy: false,
+  rateLimit: {
+    burst: 60,
+    perSecond: 1
+  },
+  upstream: {
+    fiscalDataBase: EndpointRegistry.FISCAL_DATA_BASE,
+    worldBankBase: EndpointRegistry.WORLD_BANK.base,
+    timeoutMs: 15000,
+    maxConcurrent: 4
+  },
+  // Opt-in ?all=true requests follow every upstream page, up to this many rows
+  pagination: {
+    maxRows: 100000
+  },
+  exposedDatasets: ENDPOINT_NAMES,
+  // Per-endpoint overrides: { ttlSeconds, timeoutMs }
+  endpoints: {},
+  // Milestone alerts (lib/alerts.js); rules, webhooks and delivery history live in storeDir
+  alerts: {
+    enabled: false,
+    storeDir: '.alerts',
+    intervalSeconds: 300,
+    maxAttempts: 6,
+    retrySeconds: 30,
+    timeoutMs: 10000
+  }
+};
+
+class SettingsError extends Error {
+  /**
+   * @param {string} source - Where the settings came from
+   * @param {string[]} problems - Every invalid setting found
+   */
+  constructor(source, problems) {
+    super(`Invalid server settings (${source}):\n  - ${problems.join('\n  - ')}`);
+    this.name = 'SettingsError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Read the config file
+ * @param {Object} env - Environment variables
+ * @returns {{file: string|null, config: Object}} File path (null when none) and its content
+ */
+function readConfigFile(env) {
+  const file = env.SERVER_CONFIG ? path.resolve(env.SERVER_CONFIG) : DEFAULT_CONFIG_FILE;
+
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    // The default file is optional; an explicitly named one is not
+    if (error.code === 'ENOENT' && !env.SERVER_CONFIG) return { file: null, config: {} };
+    throw new SettingsError(file, [`cannot read config file: ${error.message}`]);
+  }
+
+  try {
+    return { file, config: JSON.parse(content) };
+  } catch (error) {
+    throw new SettingsError(file, [`config file is not valid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Apply environment variable overrides on top of the file settings
+ * @param {Object} config - Settings from defaults and the config file
+ * @param {Object} env - Environment variables
+ * @returns {Object} Merged settings (strings from the environment are validated later)
+ */
+function applyEnv(config, env) {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const merged = {
+    ...config,
+    rateLimit: { ...config.rateLimit },
+    upstream: { ...config.upstream },
+    pagination: { ...config.pagination },
+    alerts: { ...config.alerts }
+  };
+
+  if (env.HOST) merged.host = env.HOST;
+  if (env.PORT) merged.port = Number(env.PORT);
+  if (env.CORS_ORIGINS !== undefined) merged.corsOrigins = list(env.CORS_ORIGINS);
+  if (env.TRUST_PROXY !== undefined) merged.trustProxy = env.TRUST_PROXY === '1' || env.TRUST_PROXY === 'true';
+  if (env.RATE_LIMIT_BURST) merged.rateLimit.burst = Number(env.RATE_LIMIT_BURST);
+  if (env.RATE_LIMIT_PER_SECOND) merged.rateLimit.perSecond = Number(env.RATE_LIMIT_PER_SECOND);
+  if (env.UPSTREAM_BASE) merged.upstream.fiscalDataBase = env.UPSTREAM_BASE;
+  if (env.WORLD_BANK_BASE) merged.upstream.worldBankBase = env.WORLD_BANK_BASE;
+  if (env.UPSTREAM_TIMEOUT) merged.upstream.timeoutMs = Number(env.UPSTREAM_TIMEOUT);
+  if (env.UPSTREAM_MAX_CONCURRENT) merged.upstream.maxConcurrent = Number(env.UPSTREAM_MAX_CONCURRENT);
+  if (env.PAGINATION_MAX_ROWS) merged.pagination.maxRows = Number(env.PAGINATION_MAX_ROWS);
+  if (env.EXPOSED_DATASETS !== undefined) merged.exposedDatasets = list(env.EXPOSED_DATASETS);
+  if (env.ALERTS_ENABLED !== undefined) merged.alerts.enabled = env.ALERTS_ENABLED === '1' || env.ALERTS_ENABLED === 'true';
+  if (env.ALERTS_DIR) merged.alerts.storeDir = env.ALERTS_DIR;
+
+  return merged;
+}
+
+/**
+ * Check every setting and collect the problems
+ * @param {Object} settings - Merged settings
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validate(settings) {
+  const problems = [];
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  const isHttpUrl = value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const known = Object.keys(DEFAULTS);
+  Object.keys(settings).forEach(key => {
+    if (!known.includes(key)) problems.push(`unknown setting "${key}" (expected one of ${known.join(', ')})`);
+  });
+
+  if (typeof settings.host !== 'string' || !settings.host) {
+    problems.push('host must be a non-empty string');
+  }
+  if (!Number.isInteger(settings.port) || settings.port < 1 || settings.port > 65535) {
+    problems.push(`port must be an integer between 1 and 65535 (got ${JSON.stringify(settings.port)})`);
+  }
+
+  if (!Array.isArray(settings.corsOrigins)) {
+    problems.push('corsOrigins must be a list of origins');
+  } else {
+    settings.corsOrigins.forEach(origin => {
+      if (origin === '*') return;
+      let parsed = null;
+      try {
+        parsed = new URL(origin);
+      } catch (error) {
+        // Reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || parsed.origin !== origin) {
+        problems.push(`corsOrigins entry "${origin}" must be "*" or an origin like https://example.com (scheme, host and optional port, no path or trailing slash)`);
+      }
+    });
+  }
+
+  if (typeof settings.trustProxy !== 'boolean') {
+    problems.push('trustProxy must be true or false');
+  }
+
+  if (!isPositive(settings.rateLimit?.burst)) problems.push('rateLimit.burst must be a positive number');
+  if (!isPositive(settings.rateLimit?.perSecond)) problems.push('rateLimit.perSecond must be a positive number');
+
+  if (!isHttpUrl(settings.upstream?.fiscalDataBase)) problems.push('upstream.fiscalDataBase must be an http(s) URL');
+  if (!isHttpUrl(settings.upstream?.worldBankBase)) problems.push('upstream.worldBankBase must be an http(s) URL');
+  if (!isPositive(settings.upstream?.timeoutMs)) problems.push('upstream.timeoutMs must be a positive number');
+  if (!Number.isInteger(settings.upstream?.maxConcurrent) || settings.upstream.maxConcurrent < 1) {
+    problems.push('upstream.maxConcurrent must be a positive integer');
+  }
+
+  if (!Number.isInteger(settings.pagination?.maxRows) || settings.pagination.maxRows < 1) {
+    problems.push('pagination.maxRows must be a positive integer');
+  }
+
+  if (!Array.isArray(settings.exposedDatasets)) {
+    problems.push('exposedDatasets must be a list of dataset names');
+  } else {
+    settings.exposedDatasets.filter(name => !ENDPOINT_NAMES.includes(name)).forEach(name => {
+      problems.push(`exposedDatasets entry "${name}" is not a known dataset (expected ${ENDPOINT_NAMES.join(', ')})`);
+    });
+  }
+
+  if (!settings.endpoints || typeof settings.endpoints !== 'object' || Array.isArray(settings.endpoints)) {
+    problems.push('endpoints must be an object keyed by dataset name');
+  } else {
+    Object.entries(settings.endpoints).forEach(([name, overrides]) => {
+      if (!ENDPOINT_NAMES.includes(name)) {
+        problems.push(`endpoints.${name} is not a known dataset (expected ${ENDPOINT_NAMES.join(', ')})`);
+        return;
+      }
+      Object.keys(overrides || {}).filter(key => !['ttlSeconds', 'timeoutMs'].includes(key)).forEach(key => {
+        problems.push(`endpoints.${name}.${key} is not a setting (expected ttlSeconds, timeoutMs)`);
+      });
+      if (overrides?.ttlSeconds !== undefined && !isPositive(overrides.ttlSeconds)) {
+        problems.push(`endpoints.${name}.ttlSeconds must be a positive number`);
+      }
+      if (overrides?.timeoutMs !== undefined && !isPositive(overrides.timeoutMs)) {
+        problems.push(`endpoints.${name}.timeoutMs must be a positive number`);
+      }
+    });
+  }
+
+  if (typeof settings.alerts?.enabled !== 'boolean') problems.push('alerts.enabled must be true or false');
+  if (typeof settings.alerts?.storeDir !== 'string' || !settings.alerts.storeDir) {
+    problems.push('alerts.storeDir must be a directory path');
+  } else {
+    // Everything below the project root is served as static files unless a path segment starts with a dot
+    const relative = path.relative(ROOT, path.resolve(ROOT, settings.alerts.storeDir));
+    const insideRoot = relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    if (insideRoot && !relative.split(path.sep).some(segment => segment.startsWith('.'))) {
+      problems.push(`alerts.storeDir "${settings.alerts.storeDir}" is inside the project root, so it must be a dot-directory (e.g. .alerts) to stay private`);
+    }
+  }
+  ['intervalSeconds', 'retrySeconds', 'timeoutMs'].forEach(key => {
+    if (!isPositive(settings.alerts?.[key])) problems.push(`alerts.${key} must be a positive number`);
+  });
+  if (!Number.isInteger(settings.alerts?.maxAttempts) || settings.alerts.maxAttempts < 1) {
+    problems.push('alerts.maxAttempts must be a positive integer');
+  }
+
+  return problems;
+}
+
+/**
+ * Load and validate the server settings
+ * @param {Object} env - Environment variables
+ * @returns {Object} Settings
+ * @throws {SettingsError} When any setting is invalid
+ */
+function load(env = process.env) {
+  const { file, config } = readConfigFile(env);
+  const source = file ? `${path.relative(process.cwd(), file) || file} and environment` : 'environment';
+
+  const fromFile = {
+    ...DEFAULTS,
+    ...config,
+    rateLimit: { ...DEFAULTS.rateLimit, ...config.rateLimit },
+    upstream: { ...DEFAULTS.upstream, ...config.upstream },
+    pagination: { ...DEFAULTS.pagination, ...config.pagination },
+    alerts: { ...DEFAULTS.alerts, ...config.alerts }
+  };
+  const settings = applyEnv(fromFile, env);
+
+  const problems = validate(settings);
+  if (problems.length > 0) {
+    throw new SettingsError(source, problems);
+  }
+
+  // Resolve per-endpoint values once so callers never fall back themselves
+  const endpoints = {};
+  ENDPOINT_NAMES.forEach(name => {
+    const overrides = settings.endpoints[name] || {};
+    const registryTtl = name === 'worldbank' ? EndpointRegistry.WORLD_BANK.ttl : EndpointRegistry.get(name).ttl;
+    endpoints[name] = {
+      ttl: overrides.ttlSeconds !== undefined ? overrides.ttlSeconds * 1000 : registryTtl,
+      timeout: overrides.timeoutMs !== undefined ? overrides.timeoutMs : settings.upstream.timeoutMs,
+      exposed: settings.exposedDatasets.includes(name)
+    };
+  });
+
+  return {
+    ...settings,
+    source,
+    endpoints,
+    alerts: { ...settings.alerts, storeDir: path.resolve(ROOT, settings.alerts.storeDir) }
+  };
+}
+
+/**
+ * Point the shared endpoint registry at the configured upstream hosts
+ * @param {Object} settings - Loaded settings
+ */
+function applyToRegistry(settings) {
+  EndpointRegistry.FISCAL_DATA_BASE = settings.upstream.fiscalDataBase.replace(/\/+$/, '');
+  EndpointRegistry.WORLD_BANK.base = settings.upstream.worldBankBase.replace(/\/+$/, '');
+}
+
+const settings = load();
+applyToRegistry(settings);
+
+module.exports = {
+  settings,
+  SettingsError,
+  load
+};
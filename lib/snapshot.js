@@ -0,0 +1,167 @@
+// Server-side tile snapshot
+// Runs the dashboard's tile fetchers and DataProcessor math in Node and returns every tile in one document
+
+const EndpointRegistry = require('../endpoints');
+const proxy = require('./proxy');
+
+// The tile pipeline is written for the browser, where these classes are globals
+global.Utils = global.Utils || require('../utils');
+global.CONFIG = global.CONFIG || require('../config');
+global.EndpointRegistry = global.EndpointRegistry || EndpointRegistry;
+global.BusinessCalendar = global.BusinessCalendar || require('../business-calendar');
+global.DataProcessor = global.DataProcessor || require('../data').DataProcessor;
+
+const TileRegistry = require('../tiles');
+
+/**
+ * DataManager stand-in that reads through the proxy cache instead of the browser fetch API
+ */
+class ServerDataManager {
+  constructor() {
+    this.useFallbackData = false;
+  }
+
+  /**
+   * Fetch a registered Fiscal Data dataset through the proxy cache
+   * @param {string} path - API path (e.g. /v2/accounting/od/debt_to_penny)
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} API response
+   */
+  async fetchFiscalData(path, params = {}) {
+    const name = EndpointRegistry.nameForPath(path);
+    if (!name) {
+      throw new Error(`Dataset not in endpoint registry: ${path}`);
+    }
+
+    try {
+      const route = proxy.resolveRoute(EndpointRegistry.route(name));
+      const { data } = await proxy.fetchCached(route, Utils.createSearchParams(params));
+      return data;
+    } catch (error) {
+      this.useFallbackData = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a World Bank indicator through the proxy cache
+   * @param {string} indicator - World Bank indicator code
+   * @param {number} perPage - Results per page
+   * @returns {Promise<Array>} Records with a value
+   */
+  async fetchWorldBank(indicator, perPage = CONFIG.api.worldBank.defaultPerPage) {
+    const route = proxy.resolveRoute(`${EndpointRegistry.WORLD_BANK.route}/${indicator}`);
+    const { data } = await proxy.fetchCached(route, `format=json&per_page=${perPage}`);
+    return data[1]?.filter?.(record => record?.value != null) || [];
+  }
+}
+
+/**
+ * Run every tile fetcher, resolving dependencies first
+ * @param {Object} dataManager - ServerDataManager instance
+ * @returns {Promise<Object>} Snapshot document
+ */
+async function computeSnapshot(dataManager) {
+  const definitions = TileRegistry.create(dataManager);
+  const pending = new Map();
+
+  const load = (id) => {
+    if (!pending.has(id)) {
+      const definition = definitions[id];
+      pending.set(id, (async () => {
+        const deps = {};
+        for (const depId of definition.deps || []) {
+          deps[depId] = await load(depId);
+        }
+        return definition.fetcher(deps);
+      })());
+    }
+    return pending.get(id);
+  };
+
+  const tiles = {};
+  for (const id of Object.keys(definitions)) {
+    const definition = definitions[id];
+    const entry = {
+      title: definition.title,
+      badge: definition.badge,
+      source: TileRegistry.describeSource(definition)
+    };
+
+    try {
+      tiles[id] = { ...entry, ...DataProcessor.pickState(await load(id)) };
+    } catch (error) {
+      tiles[id] = { ...entry, error: error.message };
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    usingFallback: dataManager.useFallbackData,
+    tiles
+  };
+}
+
+/**
+ * Whether a snapshot tile holds fetched data, rather than an error or the fetcher's built-in estimate
+ * @param {Object} tile - Snapshot tile
+ * @returns {boolean} True when the value came from the API
+ */
+function isFetched(tile) {
+  return Boolean(tile) && !tile.error && !DataProcessor.isEstimate(tile);
+}
+
+let inFlight = null;
+
+/**
+ * Build a snapshot, sharing one computation between concurrent callers
+ * @returns {Promise<Object>} Snapshot document
+ */
+function buildSnapshot() {
+  if (!inFlight) {
+    inFlight = computeSnapshot(new ServerDataManager())
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+  return inFlight;
+}
+
+/**
+ * Answer a /api/snapshot request
+ * @param {string} method - HTTP method
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function respond(method) {
+  if (method === 'OPTIONS') {
+    return Promise.resolve({ statusCode: 200, headers: proxy.corsHeaders, body: '' });
+  }
+
+  if (method !== 'GET') {
+    return Promise.resolve({
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    });
+  }
+
+  return buildSnapshot()
+    .then(snapshot => ({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders },
+      body: JSON.stringify(snapshot)
+    }))
+    .catch(error => ({
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...proxy.noCacheHeaders },
+      body: JSON.stringify({ error: 'Snapshot unavailable', details: error.message })
+    }));
+}
+
+module.exports = {
+  ROUTE: '/api/snapshot',
+  ServerDataManager,
+  buildSnapshot,
+  isFetched,
+  respond
+};
@@ -0,0 +1,281 @@
+// Static file serving for the dashboard: path confinement, conditional requests, compression and caching headers
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const NOT_FOUND_PAGE = path.join(ROOT, '404.html');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.pdf': 'application/pdf',
+  '.wasm': 'application/wasm'
+};
+
+// Already-compressed formats gain nothing from gzip or brotli
+const COMPRESSIBLE = /^(text\/|application\/(json|xml|manifest\+json|javascript)|image\/svg\+xml)/;
+const MIN_COMPRESS_SIZE = 1024;
+const MAX_COMPRESS_SIZE = 10 * 1024 * 1024;
+
+// HTML and data files change without their URL changing, so browsers revalidate them on every load.
+// Other assets are cached for a day, or for a year when the URL carries a version query (app.js?v=3).
+const ASSET_MAX_AGE = Number(process.env.STATIC_MAX_AGE) || 24 * 60 * 60;
+const VERSIONED_MAX_AGE = 365 * 24 * 60 * 60;
+const REVALIDATE_EXTENSIONS = ['.html', '.htm', '.json'];
+
+// Compressed bodies, keyed by "file|encoding" and tagged with the ETag they were built from
+const compressedCache = new Map();
+const MAX_COMPRESSED_ENTRIES = 100;
+
+/**
+ * Resolve a request path to a file inside the project root
+ * @param {string} pathname - Request path (e.g. /app.js)
+ * @returns {string|null} Absolute file path, or null when the path escapes the root or is not servable
+ */
+function resolvePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.includes('\0')) return null;
+
+  const filePath = path.resolve(ROOT, `.${path.posix.normalize(`/${decoded}`)}`);
+  if (filePath !== ROOT && !filePath.startsWith(`${ROOT}${path.sep}`)) return null;
+
+  // Dotfiles (.git, .env), installed packages and server settings are never part of the site
+  const segments = path.relative(ROOT, filePath).split(path.sep);
+  if (segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) return null;
+  if (/^server\.config.*\.json$/.test(segments[segments.length - 1])) return null;
+
+  return filePath;
+}
+
+/**
+ * Content type for a file
+ * @param {string} filePath - File path
+ * @returns {string} MIME type
+ */
+function contentTypeOf(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Cache-Control value for a file
+ * @param {string} filePath - File path
+ * @param {boolean} versioned - Whether the request URL carries a query string
+ * @returns {string} Cache-Control header value
+ */
+function cacheControlOf(filePath, versioned) {
+  if (REVALIDATE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return 'no-cache';
+  if (versioned) return `public, max-age=${VERSIONED_MAX_AGE}, immutable`;
+  return `public, max-age=${ASSET_MAX_AGE}`;
+}
+
+/**
+ * Pick the best response encoding the client accepts
+ * @param {string} acceptEncoding - Accept-Encoding request header
+ * @returns {string|null} 'br', 'gzip' or null for identity
+ */
+function negotiateEncoding(acceptEncoding) {
+  const accepted = {};
+  (acceptEncoding || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    if (name) accepted[name] = q ? Number(q.slice(2)) : 1;
+  });
+
+  const quality = name => accepted[name] ?? (accepted['*'] || 0);
+  if (quality('br') > 0) return 'br';
+  if (quality('gzip') > 0) return 'gzip';
+  return null;
+}
+
+/**
+ * Whether the client's cached copy is still current
+ * @param {Object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {Date} mtime - File modification time
+ * @returns {boolean} True when a 304 can be sent
+ */
+function isNotModified(headers, etag, mtime) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    // If-None-Match takes precedence; compare weakly since encodings share one ETag
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * Read and compress a file, reusing the last result while the file is unchanged
+ * @param {string} filePath - File path
+ * @param {string} encoding - 'br' or 'gzip'
+ * @param {string} etag - ETag of the file on disk
+ * @returns {Promise<Buffer>} Compressed body
+ */
+function compressedBody(filePath, encoding, etag) {
+  const key = `${filePath}|${encoding}`;
+  const cached = compressedCache.get(key);
+  if (cached && cached.etag === etag) return Promise.resolve(cached.body);
+
+  return fs.promises.readFile(filePath).then(content => new Promise((resolve, reject) => {
+    const done = (error, body) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      compressedCache.delete(key);
+      compressedCache.set(key, { etag, body });
+      if (compressedCache.size > MAX_COMPRESSED_ENTRIES) {
+        compressedCache.delete(compressedCache.keys().next().value);
+      }
+      resolve(body);
+    };
+
+    if (encoding === 'br') {
+      zlib.brotliCompress(content, { params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length } }, done);
+    } else {
+      zlib.gzip(content, done);
+    }
+  }));
+}
+
+/**
+ * Send the custom 404 page (plain text if it is missing)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} extraHeaders - Headers added to the response (e.g. CORS)
+ */
+function sendNotFound(req, res, extraHeaders) {
+  fs.readFile(NOT_FOUND_PAGE, (err, content) => {
+    const headers = {
+      'Content-Type': err ? 'text/plain; charset=utf-8' : MIME_TYPES['.html'],
+      'Cache-Control': 'no-cache',
+      ...extraHeaders
+    };
+    res.writeHead(404, headers);
+    res.end(req.method === 'HEAD' ? undefined : (err ? 'File not found' : content));
+  });
+}
+
+/**
+ * Serve a static file from the project root
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ * @param {Object} [extraHeaders] - Headers added to every response (e.g. CORS)
+ */
+function serve(req, res, pathname, extraHeaders = {}) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8', ...extraHeaders });
+    res.end('Method not allowed');
+    return;
+  }
+
+  const resolved = resolvePath(pathname);
+  if (!resolved) {
+    res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8', ...extraHeaders });
+    res.end('Forbidden');
+    return;
+  }
+
+  // Directories serve their index.html
+  const statFile = fs.promises.stat(resolved).then(stats => {
+    if (!stats.isDirectory()) return { filePath: resolved, fileStats: stats };
+    const indexPath = path.join(resolved, 'index.html');
+    return fs.promises.stat(indexPath).then(indexStats => ({ filePath: indexPath, fileStats: indexStats }));
+  });
+
+  statFile.then(({ filePath, fileStats }) => {
+    if (!fileStats.isFile()) throw new Error('Not a file');
+
+    const etag = `W/"${fileStats.size.toString(16)}-${Math.floor(fileStats.mtimeMs).toString(16)}"`;
+    const contentType = contentTypeOf(filePath);
+    const headers = {
+      'Content-Type': contentType,
+      'Cache-Control': cacheControlOf(filePath, req.url.includes('?')),
+      'ETag': etag,
+      'Last-Modified': fileStats.mtime.toUTCString(),
+      ...extraHeaders
+    };
+
+    const compressible = COMPRESSIBLE.test(contentType);
+    if (compressible) headers['Vary'] = [res.getHeader('Vary'), 'Accept-Encoding'].filter(Boolean).join(', ');
+
+    if (isNotModified(req.headers, etag, fileStats.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    const encoding = compressible && fileStats.size >= MIN_COMPRESS_SIZE && fileStats.size <= MAX_COMPRESS_SIZE
+      ? negotiateEncoding(req.headers['accept-encoding'])
+      : null;
+
+    if (encoding) {
+      return compressedBody(filePath, encoding, etag).then(body => {
+        res.writeHead(200, { ...headers, 'Content-Encoding': encoding, 'Content-Length': body.length });
+        res.end(req.method === 'HEAD' ? undefined : body);
+      });
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': fileStats.size });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    fs.createReadStream(filePath)
+      .on('error', error => {
+        console.error(`❌ Failed to read ${filePath}: ${error.message}`);
+        res.destroy(error);
+      })
+      .pipe(res);
+  }).catch(error => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    sendNotFound(req, res, extraHeaders);
+  });
+}
+
+module.exports = {
+  ROOT,
+  MIME_TYPES,
+  resolvePath,
+  negotiateEncoding,
+  serve
+};
@@ -0,0 +1,194 @@
+// Server-Sent Events stream of tile updates
+// Polls the latest record of every Treasury dataset and pushes recomputed tiles only when one changes
+
+const EndpointRegistry = require('../endpoints');
+const upstream = require('./upstream');
+const proxy = require('./proxy');
+const snapshot = require('./snapshot');
+
+const TileRegistry = require('../tiles');
+
+const POLL_INTERVAL = Number(process.env.STREAM_POLL_INTERVAL) || 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps idle connections open through load balancers
+const LATEST_RECORD_QUERY = 'page%5Bsize%5D=1&sort=-record_date';
+
+/**
+ * Find the tiles affected by a set of changed datasets, including derived tiles
+ * @param {Object} definitions - Tile definitions from TileRegistry.create()
+ * @param {Set<string>} datasets - Changed dataset names
+ * @returns {Set<string>} Affected tile IDs
+ */
+function affectedTiles(definitions, datasets) {
+  const affected = new Set(
+    Object.keys(definitions).filter(id => datasets.has(definitions[id].dataset))
+  );
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    Object.keys(definitions).forEach(id => {
+      if (!affected.has(id) && (definitions[id].deps || []).some(dep => affected.has(dep))) {
+        affected.add(id);
+        grew = true;
+      }
+    });
+  }
+
+  return affected;
+}
+
+/**
+ * Whether a snapshot tile and every tile it is derived from hold fetched data
+ * A derived tile's own entry does not say whether one of its inputs is an estimate.
+ * @param {Object} definitions - Tile definitions from TileRegistry.create()
+ * @param {Object} tiles - Snapshot tiles
+ * @param {string} id - Tile ID
+ * @returns {boolean} True when no estimate or error went into the tile
+ */
+function isFetchedWithDeps(definitions, tiles, id) {
+  return snapshot.isFetched(tiles[id])
+    && (definitions[id].deps || []).every(dep => isFetchedWithDeps(definitions, tiles, dep));
+}
+
+class UpdateStream {
+  /**
+   * Create an update stream
+   * @param {Object} options - Stream options
+   * @param {number} options.pollInterval - Time (ms) between upstream checks
+   */
+  constructor({ pollInterval = POLL_INTERVAL } = {}) {
+    this.pollInterval = pollInterval;
+    this.clients = new Set();
+    this.signatures = new Map();
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Attach an HTTP response as an event-stream client
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response kept open for events
+   */
+  connect(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      ...proxy.corsHeaders,
+      ...proxy.noCacheHeaders
+    });
+    res.write(`retry: 10000\n\n`);
+
+    this.clients.add(res);
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stop();
+    });
+
+    this.start();
+  }
+
+  /**
+   * Start polling and heartbeats (no-op when already running)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.send(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    this.poll();
+  }
+
+  /**
+   * Stop polling once nobody is listening
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Write raw event-stream text to every client
+   * @param {string} chunk - Event-stream formatted text
+   */
+  send(chunk) {
+    this.clients.forEach(res => res.write(chunk));
+  }
+
+  /**
+   * Send a named event with a JSON payload to every client
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   */
+  broadcast(event, payload) {
+    this.send(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Check every dataset's latest record and collect the ones that changed
+   * @returns {Promise<Object>} Changed dataset names mapped to their new record_date
+   */
+  async detectChanges() {
+    const changed = {};
+
+    await Promise.all(EndpointRegistry.names().map(async (name) => {
+      try {
+        const response = await upstream.fetchJSON(`${EndpointRegistry.upstreamUrl(name)}?${LATEST_RECORD_QUERY}`);
+        const latest = response?.data?.[0];
+        if (!latest) return;
+
+        const signature = JSON.stringify(latest);
+        const previous = this.signatures.get(name);
+        this.signatures.set(name, signature);
+
+        // The first poll only records a baseline
+        if (previous !== undefined && previous !== signature) {
+          changed[name] = latest.record_date;
+        }
+      } catch (error) {
+        console.error(`⚠️ Stream poll failed for ${name}: ${error.message}`);
+      }
+    }));
+
+    return changed;
+  }
+
+  /**
+   * Poll upstream and push recomputed tiles when a dataset changed
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const changed = await this.detectChanges();
+      const datasets = new Set(Object.keys(changed));
+      if (datasets.size === 0) return;
+
+      // Make the snapshot see the new records instead of cached responses
+      datasets.forEach(name => proxy.responseCache.invalidate(EndpointRegistry.route(name)));
+
+      const { tiles } = await snapshot.buildSnapshot();
+      const definitions = TileRegistry.create(null);
+      const updates = {};
+      // Estimates never replace what clients already show
+      affectedTiles(definitions, datasets).forEach(id => {
+        if (isFetchedWithDeps(definitions, tiles, id)) updates[id] = tiles[id];
+      });
+
+      this.broadcast('tiles', { datasets: changed, tiles: updates });
+    } catch (error) {
+      console.error(`⚠️ Stream update failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = {
+  ROUTE: '/api/stream',
+  UpdateStream
+};
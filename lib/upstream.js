@@ -0,0 +1,196 @@
+// Upstream HTTP access for the proxy: request coalescing, a connection cap and optional fixture record/replay
+//
+// UPSTREAM_MODE=live    (default) talk to the real APIs
+// UPSTREAM_MODE=record  talk to the real APIs and save every good response to FIXTURES_DIR
+// UPSTREAM_MODE=replay  answer only from FIXTURES_DIR, never touch the network
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const metrics = require('./metrics');
+const { settings } = require('./settings');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Upper bound on simultaneous upstream connections; further requests wait their turn
+const MAX_CONCURRENT = settings.upstream.maxConcurrent;
+
+// Give up on upstream calls that stall instead of holding a connection slot forever
+const TIMEOUT = settings.upstream.timeoutMs;
+
+const mode = process.env.UPSTREAM_MODE || 'live';
+// A dot-directory, so the static file server never serves recorded responses
+const fixturesDir = path.resolve(process.env.FIXTURES_DIR || path.join(__dirname, '..', '.fixtures'));
+
+if (!MODES.includes(mode)) {
+  throw new Error(`UPSTREAM_MODE must be one of ${MODES.join(', ')} (got "${mode}")`);
+}
+
+const inFlight = new Map();
+const waiting = [];
+let active = 0;
+
+/**
+ * Run a task once an upstream connection slot is free
+ * @param {Function} task - Returns a promise
+ * @returns {Promise<any>} Task result
+ */
+function withSlot(task) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          if (waiting.length > 0) waiting.shift()();
+        });
+    };
+
+    if (active < MAX_CONCURRENT) {
+      run();
+    } else {
+      waiting.push(run);
+    }
+  });
+}
+
+/**
+ * Map a URL to its fixture file
+ * @param {string} url - Full upstream URL
+ * @returns {string} Absolute fixture path
+ */
+function fixturePath(url) {
+  const { pathname } = new URL(url);
+  const name = path.basename(pathname).replace(/[^\w.-]/g, '_') || 'root';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(fixturesDir, `${name}-${hash}.json`);
+}
+
+/**
+ * Read a recorded response
+ * @param {string} url - Full upstream URL
+ * @returns {Promise<any>} Recorded JSON body
+ */
+function readFixture(url) {
+  return fs.promises.readFile(fixturePath(url), 'utf8')
+    .then(content => JSON.parse(content).body)
+    .catch(error => {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded fixture for ${url}`);
+      }
+      throw error;
+    });
+}
+
+/**
+ * Save a response so it can be replayed later
+ * @param {string} url - Full upstream URL
+ * @param {any} body - Parsed JSON body
+ * @returns {Promise<void>}
+ */
+function writeFixture(url, body) {
+  const file = fixturePath(url);
+  const content = JSON.stringify({ url, recordedAt: new Date().toISOString(), body }, null, 2);
+
+  return fs.promises.mkdir(fixturesDir, { recursive: true })
+    .then(() => fs.promises.writeFile(file, content));
+}
+
+/**
+ * GET a JSON document over HTTP(S)
+ * @param {string} url - Full upstream URL
+ * @param {number} timeout - Time (ms) to wait for the upstream
+ * @returns {Promise<any>} Parsed JSON body
+ */
+function requestJSON(url, timeout) {
+  const startedAt = process.hrtime.bigint();
+  const finish = (error) => metrics.recordUpstream(url, Number(process.hrtime.bigint() - startedAt) / 1e9, error);
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.get(url, (res) => {
+      let data = '';
+
+      res.on('data', chunk => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        // Upstream error bodies must not end up in the cache or the fixtures
+        if (res.statusCode >= 400) {
+          reject(new Error(`${new URL(url).host} responded with HTTP ${res.statusCode}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`${new URL(url).host} did not respond within ${timeout}ms`));
+    });
+    req.on('error', reject);
+  }).then(
+    body => {
+      finish(null);
+      return body;
+    },
+    error => {
+      finish(error);
+      throw error;
+    }
+  );
+}
+
+/**
+ * Fetch a JSON document according to the current upstream mode
+ * @param {string} url - Full upstream URL
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout] - Time (ms) to wait for the upstream (defaults to upstream.timeoutMs)
+ * @returns {Promise<any>} Parsed JSON body
+ */
+function fetchJSON(url, { timeout = TIMEOUT } = {}) {
+  if (mode === 'replay') {
+    return readFixture(url);
+  }
+
+  // Identical requests already on the wire share one upstream call
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  let pending = withSlot(() => requestJSON(url, timeout));
+  if (mode === 'record') {
+    pending = pending.then(body => writeFixture(url, body)
+      .catch(error => console.error(`⚠️ Could not record fixture for ${url}: ${error.message}`))
+      .then(() => body));
+  }
+
+  pending = pending.finally(() => inFlight.delete(url));
+  inFlight.set(url, pending);
+  return pending;
+}
+
+/**
+ * Current upstream load
+ * @returns {{active: number, queued: number, inFlight: number}} Connection counts
+ */
+function stats() {
+  return { active, queued: waiting.length, inFlight: inFlight.size };
+}
+
+module.exports = {
+  mode,
+  fixturesDir,
+  fixturePath,
+  fetchJSON,
+  stats
+};
@@ -0,0 +1,53 @@
+// Outgoing webhook requests for alerts
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON payload
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Extra request headers (e.g. Authorization)
+ * @param {number} options.timeout - Time (ms) to wait for the receiver
+ * @returns {Promise<number>} HTTP status; rejects on network errors, timeouts and non-2xx responses
+ */
+function postJSON(url, payload, { headers = {}, timeout }) {
+  const body = JSON.stringify(payload);
+  const { host } = new URL(url);
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'usdebt-alerts',
+        ...headers
+      }
+    }, (res) => {
+      // The receiver's reply is not used; drain it so the socket is released
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          const error = new Error(`${host} responded with HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`${host} did not respond within ${timeout}ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  postJSON
+};
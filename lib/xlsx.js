@@ -0,0 +1,140 @@
+// Minimal XLSX (Office Open XML spreadsheet) writer: one worksheet, inline strings, dates and numbers
+
+const { createZip } = require('./zip');
+
+// Cell styles defined in styles.xml: 0 = general, 1 = date (yyyy-mm-dd), 2 = number with thousands separators
+const STYLE = { general: 0, date: 1, number: 2 };
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index
+ * @param {number} index - Column index
+ * @returns {string} Column name (A, B, ..., AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Worksheet XML for one cell
+ * @param {any} value - Cell value (number, YYYY-MM-DD date string, other string, or null)
+ * @param {string} ref - Cell reference (e.g. B2)
+ * @param {boolean} header - Whether the cell is in the header row
+ * @returns {string} Cell XML ('' for empty cells)
+ */
+function cellXml(value, ref, header) {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}" s="${STYLE.number}"><v>${value}</v></c>`;
+  }
+
+  if (!header && typeof value === 'string' && ISO_DATE.test(value)) {
+    const serial = (Date.parse(`${value}T00:00:00Z`) - EXCEL_EPOCH) / 86400000;
+    return `<c r="${ref}" s="${STYLE.date}"><v>${serial}</v></c>`;
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Build a workbook with a single sheet
+ * @param {Object} options - Workbook options
+ * @param {string} options.sheetName - Worksheet name (max 31 characters)
+ * @param {Array<Array>} options.rows - Rows of cell values; the first row is the header
+ * @returns {Buffer} XLSX file
+ */
+function createWorkbook({ sheetName, rows }) {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 1);
+  const widths = Array.from({ length: columnCount }, (_, c) => {
+    const longest = rows.reduce((max, row) => Math.max(max, String(row[c] ?? '').length), 0);
+    return `<col min="${c + 1}" max="${c + 1}" width="${Math.min(60, Math.max(12, longest + 2))}" customWidth="1"/>`;
+  }).join('');
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+        + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="3">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+        + '</cellXfs>'
+        + '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${widths}</cols>`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ];
+
+  return createZip(files);
+}
+
+module.exports = {
+  createWorkbook
+};
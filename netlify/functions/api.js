@@ -0,0 +1,74 @@
+const proxy = require('../../lib/proxy');
+const snapshot = require('../../lib/snapshot');
+const history = require('../../lib/history');
+const dataExport = require('../../lib/export');
+const pagination = require('../../lib/pagination');
+const og = require('../../lib/og');
+const feeds = require('../../lib/feeds');
+const { settings } = require('../../lib/settings');
+
+// Every /api/* route is rewritten here (see netlify.toml); the endpoint registry decides what exists
+const FUNCTION_PREFIX = /^\/\.netlify\/functions\/api/;
+
+exports.handler = async (event, context) => {
+  // Accept both the original /api/... path and the rewritten function path
+  const pathname = (event.path || '').replace(FUNCTION_PREFIX, '/api');
+  const query = event.rawQuery || '';
+  const headers = event.headers || {};
+
+  // CORS follows the corsOrigins allowlist, as in server.js
+  const allowOrigin = proxy.allowedOrigin(headers.origin);
+  const originHeaders = {
+    ...(allowOrigin ? { 'Access-Control-Allow-Origin': allowOrigin } : {}),
+    ...(allowOrigin !== '*' ? { 'Vary': 'Origin' } : {})
+  };
+
+  if (proxy.isForeignOrigin(headers.origin, headers.host)) {
+    return {
+      statusCode: 403,
+      headers: { 'Content-Type': 'application/json', ...proxy.noCacheHeaders, ...originHeaders },
+      body: JSON.stringify({ error: 'Origin not allowed' })
+    };
+  }
+
+  const routes = {
+    [snapshot.ROUTE]: () => snapshot.respond(event.httpMethod),
+    [history.ROUTE]: () => history.respond(event.httpMethod, query),
+    [dataExport.ROUTE]: () => dataExport.respond(event.httpMethod, query)
+  };
+  // Share images and feeds keep their site-root paths (/og.png arrives here as /api/og.png once rewritten)
+  Object.keys(og.routes).forEach(route => {
+    routes[route] = routes[`/api${route}`] = () => og.routes[route](event.httpMethod);
+  });
+  // Netlify's configured site URL, else the request host; forwarded headers only count behind our own load
+  // balancer, as in server.js
+  const forwardedHost = settings.trustProxy && headers['x-forwarded-host'];
+  const siteUrl = process.env.URL || `https://${forwardedHost || headers.host}`;
+  Object.keys(feeds.routes).forEach(route => {
+    routes[route] = routes[`/api${route}`] = () => feeds.routes[route](event.httpMethod, siteUrl);
+  });
+  const paginated = pagination.wantsAllPages(query) && pagination.respond(event.httpMethod, pathname, query);
+  const response = routes[pathname]
+    ? await routes[pathname]()
+    : await (paginated || proxy.respond(event.httpMethod, pathname, query));
+
+  if (!response) {
+    return {
+      statusCode: 404,
+      headers: { 'Content-Type': 'application/json', ...proxy.corsHeaders, ...originHeaders },
+      body: JSON.stringify({ error: `Unknown endpoint: ${pathname}` })
+    };
+  }
+
+  // Binary bodies (XLSX exports, PNG share images) must be base64-encoded for the Lambda response format
+  if (Buffer.isBuffer(response.body)) {
+    return {
+      ...response,
+      headers: { ...response.headers, ...originHeaders },
+      body: response.body.toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+
+  return { ...response, headers: { ...response.headers, ...originHeaders } };
+};
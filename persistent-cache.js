@@ -0,0 +1,215 @@
+// Persistent key-value cache for DataManager
+// Entries live in IndexedDB, in localStorage when IndexedDB is unavailable, and only in memory when neither
+// is (private browsing, storage disabled). Every entry is mirrored in memory, so reads never wait on storage
+// after the first load.
+class PersistentCache {
+  static DB_NAME = 'usdebt-cache';
+  static STORE_NAME = 'entries';
+  static STORAGE_PREFIX = 'usdebt-cache:';
+
+  /**
+   * Create a cache
+   * @param {Object} options - Cache options
+   * @param {number} options.maxAge - Entries older than this (ms) are evicted
+   * @param {number} options.maxEntries - Entry limit; the oldest entries go first
+   * @param {number} options.maxBytes - Approximate size limit (JSON length); the oldest entries go first
+   */
+  constructor({ maxAge, maxEntries, maxBytes }) {
+    this.maxAge = maxAge;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.backend = null;
+    this.ready = this.open();
+  }
+
+  /**
+   * Pick a storage backend and load its entries into memory
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const backends = [PersistentCache.indexedDBBackend, PersistentCache.localStorageBackend];
+    for (const create of backends) {
+      try {
+        const backend = await create();
+        if (!backend) continue;
+        const stored = await backend.loadAll();
+        stored.forEach(entry => this.entries.set(entry.key, entry));
+        this.backend = backend;
+        break;
+      } catch (error) {
+        Utils.logError('Persistent cache', error);
+      }
+    }
+
+    this.evict();
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<{key: string, value: any, storedAt: number}|null>} Entry, or null when missing or expired
+   */
+  async get(key) {
+    await this.ready;
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.storedAt > this.maxAge) {
+      this.remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Read every live entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async list(prefix) {
+    await this.ready;
+    this.evict();
+    return [...this.entries.values()].filter(entry => entry.key.startsWith(prefix));
+  }
+
+  /**
+   * Store a value; storage errors are logged and leave the in-memory copy in place
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.ready;
+    const entry = { key, value, storedAt: Date.now(), size: JSON.stringify(value).length };
+    if (entry.size > this.maxBytes) {
+      // Would be evicted at once; the older value goes too, as it is no longer current
+      console.warn(`📁 Not caching ${key}: ${entry.size} bytes exceeds the ${this.maxBytes} byte limit`);
+      this.remove(key);
+      return;
+    }
+
+    this.entries.set(key, entry);
+    this.evict();
+    // Being the newest entry, it is never the one evicted; only what is still held gets written
+    if (this.entries.get(key) !== entry) return;
+
+    try {
+      await this.backend?.put(entry);
+    } catch (error) {
+      Utils.logError('Persistent cache write', error);
+    }
+  }
+
+  /**
+   * Drop one entry
+   * @param {string} key - Entry key
+   */
+  remove(key) {
+    this.entries.delete(key);
+    this.backend?.delete(key).catch(error => Utils.logError('Persistent cache delete', error));
+  }
+
+  /**
+   * Drop every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix ('' for everything)
+   * @returns {Promise<void>}
+   */
+  async clear(prefix = '') {
+    await this.ready;
+    [...this.entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => this.remove(key));
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones until the entry and size limits hold
+   */
+  evict() {
+    const now = Date.now();
+    [...this.entries.values()]
+      .filter(entry => now - entry.storedAt > this.maxAge)
+      .forEach(entry => this.remove(entry.key));
+
+    const byAge = [...this.entries.values()].sort((a, b) => a.storedAt - b.storedAt);
+    let totalBytes = byAge.reduce((sum, entry) => sum + entry.size, 0);
+    while (byAge.length > 0 && (byAge.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const oldest = byAge.shift();
+      totalBytes -= oldest.size;
+      this.remove(oldest.key);
+    }
+  }
+
+  /**
+   * IndexedDB backend
+   * @returns {Promise<Object|null>} Backend, or null when IndexedDB is unavailable
+   */
+  static async indexedDBBackend() {
+    if (typeof indexedDB === 'undefined') return null;
+
+    const request = (req) => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const openRequest = indexedDB.open(PersistentCache.DB_NAME, 1);
+    openRequest.onupgradeneeded = () => {
+      openRequest.result.createObjectStore(PersistentCache.STORE_NAME, { keyPath: 'key' });
+    };
+    const db = await request(openRequest);
+    const store = (mode) => db.transaction(PersistentCache.STORE_NAME, mode).objectStore(PersistentCache.STORE_NAME);
+
+    return {
+      loadAll: () => request(store('readonly').getAll()),
+      put: entry => request(store('readwrite').put(entry)),
+      delete: key => request(store('readwrite').delete(key))
+    };
+  }
+
+  /**
+   * localStorage backend (one item per entry)
+   * @returns {Promise<Object|null>} Backend, or null when localStorage is unavailable
+   */
+  static async localStorageBackend() {
+    if (typeof localStorage === 'undefined') return null;
+    const prefix = PersistentCache.STORAGE_PREFIX;
+
+    // Throws when storage is disabled, which rules this backend out
+    localStorage.setItem(`${prefix}probe`, '1');
+    localStorage.removeItem(`${prefix}probe`);
+
+    return {
+      loadAll: async () => {
+        const names = [];
+        for (let i = 0; i < localStorage.length; i++) {
+          if (localStorage.key(i).startsWith(prefix)) names.push(localStorage.key(i));
+        }
+
+        const entries = [];
+        names.forEach(name => {
+          try {
+            const entry = JSON.parse(localStorage.getItem(name));
+            if (entry && typeof entry.key === 'string') {
+              entries.push(entry);
+              return;
+            }
+          } catch (error) {
+            // Dropped below
+          }
+          localStorage.removeItem(name);
+        });
+        return entries;
+      },
+      put: async entry => localStorage.setItem(`${prefix}${entry.key}`, JSON.stringify(entry)),
+      delete: async key => localStorage.removeItem(`${prefix}${key}`)
+    };
+  }
+}
+
+// Make PersistentCache globally available
+if (typeof window !== 'undefined') {
+  window.PersistentCache = PersistentCache;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersistentCache;
+}
@@ -4,78 +4,92 @@
 // Bypasses CORS restrictions to provide real data only
 
 const http = require('http');
-const https = require('https');
 const url = require('url');
-const path = require('path');
-const fs = require('fs');
-
-const PORT = process.env.PORT || 8000;
-
-// CORS headers for all responses
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Cache-Control': 'no-cache, no-store, must-revalidate',
-  'Pragma': 'no-cache',
-  'Expires': '0'
-};
 
-// Treasury API proxy endpoints + Additional Government APIs
-const TREASURY_ENDPOINTS = {
-  '/api/debt': 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service/v2/accounting/od/debt_to_penny',
-  '/api/mts': 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service/v1/accounting/mts/mts_table_1',
-  '/api/dts': 'https://api.fiscaldata.treasury.gov/services/api/fiscal_service/v1/accounting/dts/dts_table_1'
-  // Note: Census, BEA, and FRED APIs are called directly from frontend as they support CORS
+// Settings come first so an invalid config stops the server before anything else starts
+let settings;
+try {
+  ({ settings } = require('./lib/settings'));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const upstream = require('./lib/upstream');
+const proxy = require('./lib/proxy');
+const RateLimiter = require('./lib/rate-limiter');
+const metrics = require('./lib/metrics');
+const staticFiles = require('./lib/static');
+const health = require('./lib/health');
+const snapshot = require('./lib/snapshot');
+const history = require('./lib/history');
+const dataExport = require('./lib/export');
+const pagination = require('./lib/pagination');
+const og = require('./lib/og');
+const feeds = require('./lib/feeds');
+const { AlertManager } = require('./lib/alerts');
+const { AlertStore } = require('./lib/alert-store');
+const { UpdateStream, ROUTE: STREAM_ROUTE } = require('./lib/stream');
+
+const { corsHeaders, noCacheHeaders } = proxy;
+
+const updateStream = new UpdateStream();
+
+// Milestone alerts to webhooks (rules in <alerts.storeDir>/rules.json)
+const alertManager = settings.alerts.enabled
+  ? new AlertManager({
+    store: new AlertStore(settings.alerts.storeDir),
+    interval: settings.alerts.intervalSeconds * 1000,
+    maxAttempts: settings.alerts.maxAttempts,
+    retryDelay: settings.alerts.retrySeconds * 1000,
+    timeout: settings.alerts.timeoutMs
+  })
+  : null;
+
+// Per-client limits for /api/* (a full page load makes about a dozen calls)
+const rateLimiter = new RateLimiter({
+  capacity: settings.rateLimit.burst,
+  refillPerSecond: settings.rateLimit.perSecond
+});
+
+// Standalone single-tile widget pages (embed.html reads the tile ID from its own URL)
+const EMBED_ROUTE = /^\/embed\/[\w-]+\/?$/;
+
+// Computed API and operational routes; each handler resolves to { statusCode, headers, body }
+const API_ROUTES = {
+  [snapshot.ROUTE]: (method) => snapshot.respond(method),
+  [history.ROUTE]: (method, query) => history.respond(method, query),
+  [dataExport.ROUTE]: (method, query) => dataExport.respond(method, query),
+  ...health.routes,
+  ...og.routes,
+  '/feed.xml': (method, query, req) => feeds.routes['/feed.xml'](method, siteUrl(req)),
+  '/feed.json': (method, query, req) => feeds.routes['/feed.json'](method, siteUrl(req))
 };
 
-// Fetch data from Treasury API
-function fetchTreasuryAPI(apiUrl, query, callback) {
-  const fullUrl = `${apiUrl}?${query}`;
-  
-  https.get(fullUrl, (res) => {
-    let data = '';
-    
-    res.on('data', chunk => {
-      data += chunk;
-    });
-    
-    res.on('end', () => {
-      try {
-        const jsonData = JSON.parse(data);
-        callback(null, jsonData);
-      } catch (error) {
-        callback(error, null);
-      }
-    });
-  }).on('error', (error) => {
-    callback(error, null);
-  });
+// Label a request path for metrics without letting arbitrary paths create new series
+function routeLabel(pathname) {
+  if (API_ROUTES[pathname] || pathname === STREAM_ROUTE) return pathname;
+
+  const route = proxy.resolveRoute(pathname);
+  if (route) return pathname.startsWith('/api/worldbank/') ? '/api/worldbank' : pathname;
+
+  if (EMBED_ROUTE.test(pathname)) return '/embed';
+
+  return pathname.startsWith('/api/') ? 'unmatched' : 'static';
 }
 
-// Serve static files
-function serveStaticFile(filePath, res) {
-  const extname = path.extname(filePath);
-  const contentType = {
-    '.html': 'text/html',
-    '.js': 'text/javascript', 
-    '.css': 'text/css',
-    '.json': 'application/json'
-  }[extname] || 'text/plain';
-
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      res.writeHead(404, corsHeaders);
-      res.end('File not found');
-      return;
-    }
+// Identify the client for rate limiting (X-Forwarded-For only counts behind our own load balancer)
+function clientAddress(req) {
+  const forwarded = settings.trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
 
-    res.writeHead(200, { 
-      'Content-Type': contentType,
-      ...corsHeaders 
-    });
-    res.end(content);
-  });
+// Absolute URL of the dashboard for links in feeds (forwarded headers only count behind our own load balancer)
+function siteUrl(req) {
+  const forwardedProto = settings.trustProxy && req.headers['x-forwarded-proto'];
+  const forwardedHost = settings.trustProxy && req.headers['x-forwarded-host'];
+  const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : (req.socket.encrypted ? 'https' : 'http');
+  return `${protocol}://${forwardedHost || req.headers.host || `localhost:${settings.port}`}`;
 }
 
 // Main server
@@ -84,6 +98,20 @@ const server = http.createServer((req, res) => {
   const pathname = parsedUrl.pathname;
   const query = parsedUrl.search?.slice(1) || '';
 
+  res.on('finish', () => metrics.recordRequest(routeLabel(pathname), res.statusCode));
+
+  // CORS: only origins on the corsOrigins allowlist may read responses cross-origin
+  const allowOrigin = proxy.allowedOrigin(req.headers.origin);
+  if (allowOrigin) res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+  if (allowOrigin !== '*') res.setHeader('Vary', 'Origin');
+
+  // Pages on other sites must not use this server as an open proxy
+  if (pathname.startsWith('/api/') && proxy.isForeignOrigin(req.headers.origin, req.headers.host)) {
+    res.writeHead(403, { 'Content-Type': 'application/json', ...noCacheHeaders });
+    res.end(JSON.stringify({ error: 'Origin not allowed' }));
+    return;
+  }
+
   // Handle preflight OPTIONS requests
   if (req.method === 'OPTIONS') {
     res.writeHead(200, corsHeaders);
@@ -91,53 +119,80 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // Treasury API proxy routes
-  if (TREASURY_ENDPOINTS[pathname]) {
-    if (req.method !== 'GET') {
-      res.writeHead(405, corsHeaders);
-      res.end('Method not allowed');
+  // Rate limit API routes per client
+  if (pathname.startsWith('/api/')) {
+    const { allowed, retryAfter } = rateLimiter.take(clientAddress(req));
+    if (!allowed) {
+      res.writeHead(429, {
+        'Content-Type': 'application/json',
+        'Retry-After': String(retryAfter),
+        ...corsHeaders,
+        ...noCacheHeaders
+      });
+      res.end(JSON.stringify({ error: 'Too many requests', retryAfter }));
       return;
     }
+  }
 
-    fetchTreasuryAPI(TREASURY_ENDPOINTS[pathname], query, (error, data) => {
-      if (error) {
-        res.writeHead(500, { 
-          'Content-Type': 'application/json',
-          ...corsHeaders 
-        });
-        res.end(JSON.stringify({ error: 'Treasury API unavailable', details: error.message }));
-        return;
-      }
-
-      res.writeHead(200, { 
-        'Content-Type': 'application/json',
-        ...corsHeaders 
-      });
-      res.end(JSON.stringify(data));
+  // Server-Sent Events stream of tile updates (long-lived, so not available on Netlify)
+  if (pathname === STREAM_ROUTE && req.method === 'GET') {
+    updateStream.connect(req, res);
+    return;
+  }
+
+  // Opt-in full pagination (?all=true) streams every upstream page as one response
+  if (req.method === 'GET' && pagination.wantsAllPages(query) && pagination.stream(req, res, pathname, query)) {
+    return;
+  }
+
+  // Computed API routes, then Treasury and World Bank proxy routes (see endpoints.js)
+  const proxied = API_ROUTES[pathname]
+    ? API_ROUTES[pathname](req.method, query, req)
+    : proxy.respond(req.method, pathname, query);
+  if (proxied) {
+    proxied.then(({ statusCode, headers, body }) => {
+      res.writeHead(statusCode, headers);
+      res.end(body);
     });
     return;
   }
 
-  // Static file serving
-  let filePath = pathname === '/' ? './index.html' : `.${pathname}`;
-  
-  // Security: prevent directory traversal
-  if (filePath.includes('..')) {
-    res.writeHead(403, corsHeaders);
-    res.end('Forbidden');
+  if (pathname.startsWith('/api/')) {
+    res.writeHead(404, { 'Content-Type': 'application/json', ...corsHeaders, ...noCacheHeaders });
+    res.end(JSON.stringify({ error: `Unknown endpoint: ${pathname}` }));
     return;
   }
 
-  serveStaticFile(filePath, res);
+  if (EMBED_ROUTE.test(pathname)) {
+    staticFiles.serve(req, res, '/embed.html', corsHeaders);
+    return;
+  }
+
+  // Static files from the project root (see lib/static.js)
+  staticFiles.serve(req, res, pathname, corsHeaders);
 });
 
-server.listen(PORT, () => {
-  console.log(`🚀 Production server running on port ${PORT}`);
-  console.log(`🌐 Access your dashboard at: http://localhost:${PORT}`);
+server.listen(settings.port, settings.host, () => {
+  console.log(`🚀 Production server running on ${settings.host}:${settings.port}`);
+  console.log(`🌐 Access your dashboard at: http://localhost:${settings.port}`);
+  console.log(`⚙️ Settings: ${settings.source}`);
+  if (settings.corsOrigins.includes('*')) {
+    console.warn('⚠️ corsOrigins contains "*": any website can call /api/* through this server');
+  }
+  if (upstream.mode !== 'live') {
+    console.log(`📼 Upstream mode: ${upstream.mode} (fixtures in ${upstream.fixturesDir})`);
+  }
+  if (alertManager) {
+    console.log(`🔔 Alerts: evaluating ${alertManager.store.rulesFile} every ${settings.alerts.intervalSeconds}s`);
+    alertManager.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
+  updateStream.stop();
+  if (alertManager) alertManager.stop();
+  rateLimiter.destroy();
   server.close(() => {
     process.exit(0);
   });
@@ -0,0 +1,471 @@
+// Tile definitions for the U.S. Fiscal Dashboard
+// Shared by the browser dashboard (app.js) and the server-side snapshot (lib/snapshot.js)
+class TileRegistry {
+  /**
+   * Build the tile definitions
+   * Each definition has a title, badge, optional dataset (endpoint registry name or "worldbank"),
+   * optional deps (tile IDs whose states are passed to the fetcher), a fetcher and a render function.
+   * @param {Object} dataManager - Object providing fetchFiscalData() and fetchWorldBank()
+   * @returns {Object} Tile definitions keyed by tile ID, in display order
+   */
+  static create(dataManager) {
+    return {
+      // 1. US National Debt
+      debt: {
+        title: "US National Debt",
+        badge: "LIVE",
+        dataset: "debt",
+        fetcher: async () => {
+          try {
+            return await TileRegistry.fetchDebtToThePenny(dataManager, "tot_pub_debt_out_amt", CONFIG.rates.tiles.debt);
+          } catch (error) {
+            // Fallback to current estimate when API fails
+            console.warn('Using debt fallback due to API failure:', error.message);
+            return {
+              baseValue: 35700000000000, // $35.7T current estimate
+              baseTs: Utils.nowSeconds(),
+              ratePerSec: 95000, // ~$95K per second growth rate
+              meta: 'Estimated (API unavailable)'
+            };
+          }
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 2. Federal Receipts (FYTD) - REAL DATA via proxy
+      receipts: {
+        title: "Federal Receipts (FYTD)",
+        badge: "LIVE",
+        dataset: "mts",
+        fetcher: () => TileRegistry.fetchFiscalYearToDate(dataManager, 'current_fytd_rcpt_amt', CONFIG.rates.tiles.receipts),
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 3. Federal Outlays (FYTD) - REAL DATA via proxy
+      outlays: {
+        title: "Federal Outlays (FYTD)",
+        badge: "LIVE", 
+        dataset: "mts",
+        fetcher: () => TileRegistry.fetchFiscalYearToDate(dataManager, 'current_fytd_outly_amt', CONFIG.rates.tiles.outlays),
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 4. Deficit (FYTD) - derived from outlays and receipts
+      deficit: {
+        title: "Deficit (FYTD)",
+        badge: "LIVE",
+        deps: ["outlays", "receipts"],
+        fetcher: async (deps) => {
+          const outlaysState = deps.outlays;
+          const receiptsState = deps.receipts;
+        
+          const baseValue = outlaysState.baseValue - receiptsState.baseValue;
+          const ratePerSec = (outlaysState.ratePerSec || 0) - (receiptsState.ratePerSec || 0);
+          // Independent estimates: the band of the difference adds in quadrature
+          const rateUncertainty = Utils.isNullish(outlaysState.rateUncertainty) || Utils.isNullish(receiptsState.rateUncertainty)
+            ? null
+            : Math.hypot(outlaysState.rateUncertainty, receiptsState.rateUncertainty);
+          const baseTs = Math.min(outlaysState.baseTs, receiptsState.baseTs);
+
+          // Same subtraction for the prior-year period, when both sides have one for the same fiscal year
+          const previousOutlays = outlaysState.comparison;
+          const previousReceipts = receiptsState.comparison;
+          const comparison = previousOutlays && previousReceipts && previousOutlays.fiscalYear === previousReceipts.fiscalYear
+            ? TileRegistry.compare(baseValue, { ...previousOutlays, value: previousOutlays.value - previousReceipts.value })
+            : null;
+        
+          return {
+            baseValue,
+            baseTs,
+            ratePerSec,
+            rateUncertainty,
+            clock: outlaysState.clock,
+            fiscalYear: outlaysState.fiscalYear,
+            comparison,
+            meta: TileRegistry.withComparison("Outlays − Receipts", comparison)
+          };
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 5. Operating Cash Balance - Fetch from Treasury API
+      cash: {
+        title: "Operating Cash Balance",
+        badge: "LIVE",
+        dataset: "dts",
+        fetcher: async () => {
+          // Fetch from Treasury Daily Treasury Statement API
+          const response = await dataManager.fetchFiscalData(
+            "/v1/accounting/dts/dts_table_1",
+            {
+              fields: "record_date,open_today_bal",
+              filter: "account_type:eq:Treasury General Account,table_nm:eq:Table I",
+              sort: "-record_date",
+              "page[size]": CONFIG.rates.tiles.cash.window,
+              format: "json"
+            }
+          );
+          const rows = DataProcessor.toDollars(response, 'dts', ['open_today_bal']);
+          return DataProcessor.processGenericData(rows, 'open_today_bal', CONFIG.rates.tiles.cash, EndpointRegistry.get('dts').clock);
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 6. US Population (estimated) - API with fallback
+      pop: {
+        title: "US Population (est.)",
+        badge: "API",
+        dataset: "worldbank",
+        fetcher: async () => {
+          try {
+            const data = await dataManager.fetchWorldBank("SP.POP.TOTL", 8);
+            return DataProcessor.processWorldBankData(data);
+          } catch (error) {
+            console.warn('Using population fallback due to API failure:', error.message);
+            return {
+              baseValue: 341814420, // 2024 estimate
+              baseTs: Utils.nowSeconds(),
+              ratePerSec: 4.3, // ~4.3 people per second growth
+              meta: 'Estimated (API unavailable)'
+            };
+          }
+        },
+        render: v => Utils.formatNumber(v || 0)
+      },
+
+      // 7. US GDP (nominal, estimated) - API with fallback
+      gdp: {
+        title: "US GDP (nominal, est.)",
+        badge: "API",
+        dataset: "worldbank",
+        fetcher: async () => {
+          try {
+            const data = await dataManager.fetchWorldBank("NY.GDP.MKTP.CD", 8);
+            return DataProcessor.processWorldBankData(data);
+          } catch (error) {
+            console.warn('Using GDP fallback due to API failure:', error.message);
+            return {
+              baseValue: 28781000000000, // ~$28.78T estimate
+              baseTs: Utils.nowSeconds(),
+              ratePerSec: 912000, // GDP growth per second
+              meta: 'Estimated (API unavailable)'
+            };
+          }
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 8. Debt per Citizen (derived)
+      debt_per: {
+        title: "Debt per Citizen",
+        badge: "DERIVED",
+        deps: ["debt", "pop"],
+        fetcher: async (deps) => {
+          const debtState = deps.debt;
+          const popState = deps.pop;
+        
+          const baseValue = Utils.safeDivide(debtState.baseValue, popState.baseValue);
+          const ratePerSec = Utils.safeDivide(debtState.ratePerSec || 0, popState.baseValue);
+        
+          return {
+            baseValue,
+            baseTs: debtState.baseTs,
+            ratePerSec,
+            clock: debtState.clock,
+            meta: "Debt ÷ Population"
+          };
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 9. Receipts per Citizen (derived)
+      rcpt_per: {
+        title: "Receipts per Citizen (FYTD)",
+        badge: "DERIVED",
+        deps: ["receipts", "pop"],
+        fetcher: async (deps) => {
+          const receiptsState = deps.receipts;
+          const popState = deps.pop;
+        
+          const baseValue = Utils.safeDivide(receiptsState.baseValue, popState.baseValue);
+          const ratePerSec = Utils.safeDivide(receiptsState.ratePerSec || 0, popState.baseValue);
+        
+          return {
+            baseValue,
+            baseTs: receiptsState.baseTs,
+            ratePerSec,
+            clock: receiptsState.clock,
+            meta: "Receipts ÷ Population"
+          };
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 10. Debt-to-GDP Ratio (derived)
+      debt_gdp: {
+        title: "Debt-to-GDP Ratio",
+        badge: "DERIVED",
+        deps: ["debt", "gdp"],
+        fetcher: async (deps) => ({
+          ...TileRegistry.ratio(deps.debt, deps.gdp),
+          meta: "Debt ÷ GDP (nominal)"
+        }),
+        render: v => ((v || 0) * 100).toFixed(2) + "%"
+      },
+
+      // 11. Average interest rate on marketable debt (bills, notes, bonds, TIPS, FRNs)
+      rate_mkt: {
+        title: "Avg. Interest Rate (Marketable)",
+        badge: "OFFICIAL",
+        dataset: "interest",
+        fetcher: () => TileRegistry.fetchAverageInterestRate(dataManager, "Total Marketable"),
+        render: v => (v || 0).toFixed(3) + "%"
+      },
+
+      // 12. Average interest rate on all interest-bearing debt
+      rate_total: {
+        title: "Avg. Interest Rate (Total Debt)",
+        badge: "OFFICIAL",
+        dataset: "interest",
+        fetcher: () => TileRegistry.fetchAverageInterestRate(dataManager, "Total Interest-bearing Debt"),
+        render: v => (v || 0).toFixed(3) + "%"
+      },
+
+      // 13. Annual interest cost (derived): debt at the average rate on interest-bearing debt
+      interest_cost: {
+        title: "Annual Interest Cost (est.)",
+        badge: "DERIVED",
+        deps: ["debt", "rate_total"],
+        fetcher: async (deps) => {
+          const debtState = deps.debt;
+          const rate = deps.rate_total.baseValue / 100;
+
+          return {
+            baseValue: debtState.baseValue * rate,
+            baseTs: debtState.baseTs,
+            ratePerSec: (debtState.ratePerSec || 0) * rate,
+            rateUncertainty: Utils.isNullish(debtState.rateUncertainty) ? null : debtState.rateUncertainty * rate,
+            clock: debtState.clock,
+            meta: `Debt × ${deps.rate_total.baseValue.toFixed(3)}% avg. rate`
+          };
+        },
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 14. Debt held by the public (marketable and nonmarketable debt held outside the government)
+      debt_public: {
+        title: "Debt Held by the Public",
+        badge: "LIVE",
+        dataset: "debt",
+        fetcher: () => TileRegistry.fetchDebtToThePenny(dataManager, "debt_held_public_amt", CONFIG.rates.tiles.debt_public),
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 15. Intragovernmental holdings (debt held by trust funds and other government accounts)
+      debt_intragov: {
+        title: "Intragovernmental Holdings",
+        badge: "LIVE",
+        dataset: "debt",
+        fetcher: () => TileRegistry.fetchDebtToThePenny(dataManager, "intragov_hold_amt", CONFIG.rates.tiles.debt_intragov),
+        render: v => Utils.formatUSD(v || 0, 0)
+      },
+
+      // 16. Debt held by the public to GDP (derived), the ratio usually quoted by economists
+      debt_public_gdp: {
+        title: "Debt Held by the Public to GDP",
+        badge: "DERIVED",
+        deps: ["debt_public", "gdp"],
+        fetcher: async (deps) => ({
+          ...TileRegistry.ratio(deps.debt_public, deps.gdp),
+          meta: "Debt held by the public ÷ GDP (nominal)"
+        }),
+        render: v => ((v || 0) * 100).toFixed(2) + "%"
+      }
+    };
+  }
+
+  /**
+   * Latest Debt to the Penny amount for one field
+   * All three amount fields are requested with the largest window of the debt tiles, so the total, public and
+   * intragovernmental tiles share one request and one cached response.
+   * @param {Object} dataManager - Object providing fetchFiscalData()
+   * @param {string} field - Amount field (tot_pub_debt_out_amt, debt_held_public_amt, intragov_hold_amt)
+   * @param {Object} rateOptions - RateEstimator options (CONFIG.rates.tiles entry)
+   * @returns {Promise<Object>} Tile state
+   */
+  static async fetchDebtToThePenny(dataManager, field, rateOptions) {
+    const fields = ["tot_pub_debt_out_amt", "debt_held_public_amt", "intragov_hold_amt"];
+    const { debt, debt_public, debt_intragov } = CONFIG.rates.tiles;
+    const response = await dataManager.fetchFiscalData(
+      "/v2/accounting/od/debt_to_penny",
+      {
+        fields: `record_date,${fields.join(",")}`,
+        sort: "-record_date",
+        "page[size]": Math.max(debt.window, debt_public.window, debt_intragov.window),
+        format: "json"
+      }
+    );
+    const rows = DataProcessor.toDollars(response, 'debt', fields);
+    return DataProcessor.processDebtData(rows, rateOptions, field);
+  }
+
+  /**
+   * Ratio of two tile states, ticking on the numerator's clock
+   * The denominator's own growth term is small enough to treat per second of the same clock.
+   * @param {Object} numerator - Numerator tile state
+   * @param {Object} denominator - Denominator tile state
+   * @returns {Object} baseValue, baseTs, ratePerSec and clock
+   */
+  static ratio(numerator, denominator) {
+    // d(a/b)/dt = (a'b - ab') / b²
+    const growth = (numerator.ratePerSec || 0) * denominator.baseValue
+      - numerator.baseValue * (denominator.ratePerSec || 0);
+
+    return {
+      baseValue: Utils.safeDivide(numerator.baseValue, denominator.baseValue),
+      baseTs: Math.min(numerator.baseTs, denominator.baseTs),
+      ratePerSec: Utils.safeDivide(growth, denominator.baseValue * denominator.baseValue),
+      clock: numerator.clock
+    };
+  }
+
+  /**
+   * Latest average interest rate for one class of Treasury securities
+   * @param {Object} dataManager - Object providing fetchFiscalData()
+   * @param {string} securityDesc - Total row to read ("Total Marketable", "Total Interest-bearing Debt")
+   * @returns {Promise<Object>} Tile state with the rate in percent
+   */
+  static async fetchAverageInterestRate(dataManager, securityDesc) {
+    const response = await dataManager.fetchFiscalData(
+      "/v2/accounting/od/avg_interest_rates",
+      {
+        fields: "record_date,security_desc,avg_interest_rate_amt",
+        filter: `security_desc:eq:${securityDesc}`,
+        sort: "-record_date",
+        "page[size]": 2,
+        format: "json"
+      }
+    );
+    return DataProcessor.processInterestRateData(response.data || []);
+  }
+
+  /**
+   * Fiscal-year-to-date MTS total for the current federal fiscal year
+   * Until the new year's first Monthly Treasury Statement is out (mid-November), the previous fiscal year is shown
+   * instead: labelled final once its September statement is out, and still growing through its latest month
+   * before that (early October). Every case carries the same point of the year before as a comparison.
+   * @param {Object} dataManager - Object providing fetchFiscalData()
+   * @param {string} field - MTS fiscal-year-to-date amount field
+   * @param {Object} rateOptions - RateEstimator options (CONFIG.rates.tiles entry)
+   * @returns {Promise<Object>} Tile state with fiscalYear and comparison
+   */
+  static async fetchFiscalYearToDate(dataManager, field, rateOptions) {
+    const fetchRows = async (fiscalYear, filter = '', pageSize = rateOptions.window) => {
+      const response = await dataManager.fetchFiscalData("/v1/accounting/mts/mts_table_1", {
+        fields: `record_date,${field},classification_desc`,
+        filter: `record_type_cd:eq:SL,record_fiscal_year:eq:${fiscalYear},classification_desc:eq:Year-to-Date${filter}`,
+        sort: "-record_date",
+        "page[size]": pageSize,
+        format: "json"
+      });
+      return DataProcessor.toDollars(response, 'mts', [field]);
+    };
+
+    const currentYear = BusinessCalendar.fiscalYear();
+    let fiscalYear = currentYear;
+    let rows = await fetchRows(fiscalYear);
+    if (rows.length === 0) {
+      fiscalYear = currentYear - 1;
+      rows = await fetchRows(fiscalYear);
+    }
+
+    const state = DataProcessor.processMTSData(rows, field, rateOptions);
+    const [latest] = rows;
+    const previousYear = fiscalYear < currentYear;
+    // A fiscal year is complete once its September statement, the year-end close, is out
+    const complete = previousYear && latest.record_date.slice(5, 7) === '09';
+
+    let comparison = null;
+    try {
+      // MTS records close each month, so the same calendar month of the prior year is the same point in its year
+      const month = latest.record_date.slice(5, 7);
+      const [previous] = await fetchRows(fiscalYear - 1, `,record_calendar_month:eq:${month}`, 1);
+      if (previous) {
+        comparison = TileRegistry.compare(state.baseValue, {
+          fiscalYear: fiscalYear - 1,
+          recordDate: previous.record_date,
+          value: previous[field],
+          label: complete ? `FY${fiscalYear - 1}` : `same period FY${fiscalYear - 1}`
+        });
+      }
+    } catch (error) {
+      console.warn(`No FY${fiscalYear - 1} comparison for ${field}:`, error.message);
+    }
+
+    let meta = `FY${fiscalYear} through ${latest.record_date}`;
+    if (complete) {
+      meta = `FY${fiscalYear} final (FY${currentYear} not yet reported) • As of ${latest.record_date}`;
+    } else if (previousYear) {
+      meta += ` (FY${currentYear} not yet reported)`;
+    }
+
+    return {
+      ...state,
+      // A finished year's total no longer grows
+      ratePerSec: complete ? 0 : state.ratePerSec,
+      rateUncertainty: complete ? null : state.rateUncertainty,
+      fiscalYear,
+      comparison,
+      meta: TileRegistry.withComparison(meta, comparison)
+    };
+  }
+
+  /**
+   * Complete a prior-period comparison with the change from it
+   * @param {number} value - Current value
+   * @param {Object} previous - { fiscalYear, recordDate, value, label }
+   * @returns {Object} Comparison with change and percent (null when the prior value is zero)
+   */
+  static compare(value, previous) {
+    const change = value - previous.value;
+    return {
+      ...previous,
+      change,
+      percent: previous.value ? (change / Math.abs(previous.value)) * 100 : null
+    };
+  }
+
+  /**
+   * Append a comparison to a meta line, e.g. "FY2026 through 2026-03-31 • +8.2% vs same period FY2025"
+   * @param {string} meta - Meta line
+   * @param {Object|null} comparison - Comparison from compare()
+   * @returns {string} Meta line
+   */
+  static withComparison(meta, comparison) {
+    if (!comparison || comparison.percent === null) return meta;
+    const sign = comparison.percent < 0 ? '−' : '+';
+    return `${meta} • ${sign}${Math.abs(comparison.percent).toFixed(1)}% vs ${comparison.label}`;
+  }
+
+  /**
+   * Describe where a tile's numbers come from
+   * @param {Object} definition - Tile definition
+   * @returns {string} Human-readable source
+   */
+  static describeSource(definition) {
+    if (definition.dataset === 'worldbank') return EndpointRegistry.WORLD_BANK.title;
+    if (definition.dataset) return EndpointRegistry.get(definition.dataset)?.title || definition.dataset;
+    if (definition.deps?.length) return `Derived from ${definition.deps.join(', ')}`;
+    return 'Unknown';
+  }
+}
+
+// Make TileRegistry globally available
+if (typeof window !== 'undefined') {
+  window.TileRegistry = TileRegistry;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TileRegistry;
+}
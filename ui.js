@@ -147,6 +147,7 @@ class CardFactory {
     const fitNumber = new FitNum(element.querySelector('.fitwrap'));
     const metaElement = element.querySelector('[data-meta]');
     const errorElement = element.querySelector('[data-err]');
+    const rangeElement = element.querySelector('[data-range]');
     
     // Add click handler for retry functionality
     element.addEventListener('click', () => {
@@ -159,7 +160,9 @@ class CardFactory {
       element,
       fitNumber,
       meta: metaElement,
+      range: rangeElement,
       error: errorElement,
+      setRange: (text) => this.setRangeText(rangeElement, text),
       setError: (message) => this.setErrorState(element, errorElement, message),
       clearError: () => this.clearErrorState(element, errorElement),
       setLoading: () => this.setLoadingState(element, metaElement),
@@ -187,6 +190,7 @@ class CardFactory {
         <span class="fitnum text-slate-900">—</span>
       </div>
       <p class="card-meta text-xs text-slate-500 mt-2 leading-relaxed" data-meta>&nbsp;</p>
+      <p class="card-range hidden text-xs text-slate-400 mt-1" data-range></p>
       <p class="mt-2 hidden text-xs font-medium text-red-600 bg-red-50 px-2 py-1.5 rounded-md" data-err>&nbsp;</p>
     `;
   }
@@ -240,6 +244,16 @@ class CardFactory {
     errorElement.classList.add('hidden');
   }
 
+  /**
+   * Show a card's growth-rate band, or hide it when there is none
+   * @param {HTMLElement} rangeElement - Range element
+   * @param {string} text - Description from DataProcessor.describeRate()
+   */
+  static setRangeText(rangeElement, text) {
+    rangeElement.textContent = text;
+    rangeElement.classList.toggle('hidden', !text);
+  }
+
   /**
    * Set loading state for a card
    * @param {HTMLElement} cardElement - Card element
@@ -14,6 +14,11 @@ class Utils {
    */
   static $$ = (selector) => document.querySelectorAll(selector);
 
+  /**
+   * Locale used for number formatting (embeds may override it)
+   */
+  static locale = "en-US";
+
   /**
    * Format number as USD currency with full precision
    * @param {number} value - Value to format
@@ -21,7 +26,7 @@ class Utils {
    * @returns {string} Formatted currency string
    */
   static formatUSD(value, decimals = CONFIG.constants.DEFAULT_DECIMAL_PLACES) {
-    return new Intl.NumberFormat("en-US", {
+    return new Intl.NumberFormat(this.locale, {
       style: "currency",
       currency: "USD",
       maximumFractionDigits: decimals,
@@ -35,7 +40,7 @@ class Utils {
    * @returns {string} Formatted number string
    */
   static formatNumber(value) {
-    return new Intl.NumberFormat("en-US", {
+    return new Intl.NumberFormat(this.locale, {
       maximumFractionDigits: 0
     }).format(value);
   }
@@ -149,6 +154,16 @@ class Utils {
     return new Date().getFullYear();
   }
 
+  /**
+   * Federal fiscal year (October through September) containing a date
+   * Reads the date's UTC calendar day; BusinessCalendar.fiscalYear() gives the current one by US Eastern time.
+   * @param {Date} [date] - Date (defaults to now)
+   * @returns {number} Fiscal year, e.g. 2026 for 2025-10-01 through 2026-09-30
+   */
+  static fiscalYear(date = new Date()) {
+    return date.getUTCMonth() >= 9 ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+  }
+
   /**
    * Log error with context
    * @param {string} context - Error context
@@ -171,6 +186,30 @@ class Utils {
   static createSearchParams(params) {
     return new URLSearchParams(params || {}).toString();
   }
+
+  /**
+   * Format a currency value in compact notation (e.g. $38.01T)
+   * @param {number} value - Value to format
+   * @returns {string} Formatted currency string
+   */
+  static formatCompactUSD(value) {
+    return new Intl.NumberFormat(this.locale, {
+      style: "currency",
+      currency: "USD",
+      notation: "compact",
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(value);
+  }
+
+  /**
+   * Escape text for HTML or XML markup
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
 }
 
 // Make Utils globally available